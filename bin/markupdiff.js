@@ -0,0 +1,500 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Command line interface for markupDiff.compare(). Sources are passed as arguments, and can be globs or http/https
+ * urls :
+ *
+ *      markupdiff ./prototype/**\/*.html http://cms.local:8080/page.html --attributes class --attributes "data-*"
+ *
+ * With --from and --to, arguments are globs of files in a git repository, which are compared between two revisions
+ * (see markupDiff.compareRevisions()) :
+ *
+ *      markupdiff "prototype/**\/*.html" --from main --to HEAD
+ *
+ * Sources and options can also be set in a config file, markupdiff.config.js or .markupdiffrc, found in the current
+ * directory or a parent (see lib/config.js). Sources on the command line replace the config's sources, options on the
+ * command line override the config's options.
+ *
+ * With --lint, markers in sources are checked for problems (see markupDiff.lint()) instead of comparing modules, the
+ * command exits with 1 if any is an error.
+ *
+ * With --catalog, the modules in sources are described instead of compared (see markupDiff.catalog()), as markdown,
+ * json or html.
+ *
+ * With --watch, the command keeps running and compares again whenever a file matched by a glob changes (see
+ * markupDiff.watch()). It is stopped with Ctrl+C, and doesn't set an exit code.
+ *
+ * Exit codes :
+ *
+ * 0 : All modules match (or no modules changed between revisions)
+ * 1 : Module mismatches were detected (or modules changed, were added or removed between revisions)
+ * 2 : Comparison could not be run (invalid arguments, unreadable source, broken module markup etc)
+ */
+
+var markupDiff = require('./../index'),
+    parseUrl = require('./../lib/fetch').parseUrl,
+    yargs = require('yargs'),
+    exitCodes = {
+        match : 0,
+        mismatch : 1,
+        error : 2
+    },
+    // options which have a markupDiff default have none here (booleans need default : undefined, or yargs sets them
+    // false), so options not given are left to the config file, then to markupDiff's defaults
+    argv = yargs
+        .usage('Usage: $0 <source> [source...] [options]\n\nSources can be file globs or http(s) urls.')
+        .check(function(argv){
+            if (!!argv.from !== !!argv.to)
+                return '--from and --to must be used together.';
+
+            if (argv.from && !argv._.length)
+                return 'At least one glob is required with --from and --to.';
+
+            if (argv.watch && (argv.from || argv.baseline))
+                return '--watch can\'t be used with --from or --baseline.';
+
+            if (argv.lint && (argv.from || argv.watch))
+                return '--lint can\'t be used with --from or --watch.';
+
+            if (argv.catalog && (argv.from || argv.watch || argv.lint))
+                return '--catalog can\'t be used with --from, --watch or --lint.';
+
+            return true;
+        })
+        .option('config', {
+            alias : 'c',
+            describe : 'Config file (JSON or .js). Defaults to markupdiff.config.js or .markupdiffrc in the current directory or a parent. Use --no-config to not read one.'
+        })
+        .option('reference', {
+            alias : 'r',
+            type : 'array',
+            describe : 'Reference source (glob or url). Modules in other sources are compared against the reference only.'
+        })
+        .option('from', {
+            type : 'string',
+            describe : 'Git revision to compare from, sources are then globs of files in the repository.'
+        })
+        .option('to', {
+            type : 'string',
+            describe : 'Git revision to compare to, used with --from.'
+        })
+        .option('repo', {
+            type : 'string',
+            describe : 'Directory in the git repository to compare revisions of. Defaults to the current directory.'
+        })
+        .option('crawl', {
+            type : 'array',
+            describe : 'Url of a page or sitemap.xml to crawl for same-origin pages to compare.'
+        })
+        .option('crawl-depth', {
+            type : 'number',
+            default : 2,
+            describe : 'Number of links to follow from crawl start pages.'
+        })
+        .option('crawl-limit', {
+            type : 'number',
+            default : 100,
+            describe : 'Maximum number of pages to crawl.'
+        })
+        .option('crawl-include', {
+            type : 'array',
+            describe : 'Regex, only crawled urls matching one of these are fetched.'
+        })
+        .option('crawl-exclude', {
+            type : 'array',
+            describe : 'Regex, crawled urls matching one of these are not fetched.'
+        })
+        .option('attributes', {
+            type : 'array',
+            describe : 'Attribute names to compare, can be regex patterns. Defaults to all attributes.'
+        })
+        .option('exclude-attributes', {
+            type : 'array',
+            describe : 'Attribute names to leave out, can be regex patterns.'
+        })
+        .option('token-attributes', {
+            type : 'array',
+            describe : 'Attributes compared as unordered sets of tokens, eg class.'
+        })
+        .option('presence-attributes', {
+            type : 'array',
+            describe : 'Attributes which must be present, but whose values are not compared.'
+        })
+        .option('sort-attributes', {
+            type : 'boolean',
+            default : undefined,
+            describe : 'Compare attributes in name order instead of markup order.'
+        })
+        .option('process-inner-text', {
+            type : 'boolean',
+            default : undefined,
+            describe : 'Treat the presence of inner text as structure (default). Use --no-process-inner-text to disable.'
+        })
+        .option('encoding', {
+            type : 'string',
+            describe : 'Encoding used to read files and downloads. Defaults to utf8.'
+        })
+        .option('timeout', {
+            type : 'number',
+            describe : 'Milliseconds to wait for a url source. Defaults to 30000.'
+        })
+        .option('max-redirects', {
+            type : 'number',
+            describe : 'Redirects to follow for a url source. Defaults to 5.'
+        })
+        .option('header', {
+            type : 'array',
+            describe : 'Header sent with url sources, as "Name: value".'
+        })
+        .option('cookie', {
+            type : 'array',
+            describe : 'Cookie sent with url sources, as "name=value".'
+        })
+        .option('auth', {
+            type : 'string',
+            describe : 'Basic auth for url sources, as "user:password".'
+        })
+        .option('concurrency', {
+            type : 'number',
+            describe : 'Maximum number of sources, and files per glob, loaded at once. Defaults to 8.'
+        })
+        .option('cache', {
+            type : 'string',
+            describe : 'Directory to cache parsed documents in, unchanged documents are not parsed again.'
+        })
+        .option('render', {
+            type : 'boolean',
+            default : undefined,
+            describe : 'Run inline and local scripts of each page before comparing, and compare the resulting DOM.'
+        })
+        .option('render-ready', {
+            type : 'string',
+            describe : 'CSS selector of an element which marks a rendered page as ready. Defaults to no pending timeouts.'
+        })
+        .option('render-timeout', {
+            type : 'number',
+            describe : 'Milliseconds to wait for a rendered page to be ready. Defaults to 5000.'
+        })
+        .option('render-host', {
+            type : 'array',
+            describe : 'Host scripts may be fetched from when rendering. Defaults to localhost and 127.0.0.1.'
+        })
+        .option('module-delimiter', {
+            type : 'string',
+            choices : ['comment', 'attribute', 'class'],
+            describe : 'How modules are delimited : by comments (default), by an element attribute or by an element class.'
+        })
+        .option('module-attribute', {
+            type : 'string',
+            describe : 'Attribute holding the module name in attribute mode. Defaults to data-module.'
+        })
+        .option('module-variant-attribute', {
+            type : 'string',
+            describe : 'Attribute holding the variant name in attribute mode. Defaults to data-module-variant.'
+        })
+        .option('module-class-regex', {
+            type : 'string',
+            describe : 'Regex for the class of a module element, required in class mode. Must capture the module name.'
+        })
+        .option('start-module-regex', {
+            type : 'string',
+            describe : 'Regex for the start of a module. Must capture the module name.'
+        })
+        .option('end-module-regex', {
+            type : 'string',
+            describe : 'Regex for the end of a module.'
+        })
+        .option('start-ignore-regex', {
+            type : 'string',
+            describe : 'Regex for the start of an ignore block.'
+        })
+        .option('end-ignore-regex', {
+            type : 'string',
+            describe : 'Regex for the end of an ignore block.'
+        })
+        .option('start-optional-regex', {
+            type : 'string',
+            describe : 'Regex for the start of an optional block.'
+        })
+        .option('end-optional-regex', {
+            type : 'string',
+            describe : 'Regex for the end of an optional block.'
+        })
+        .option('ignore-attributes-regex', {
+            type : 'string',
+            describe : 'Regex for the marker of attributes ignored on the next element. Must capture attribute names.'
+        })
+        .option('ignore-text-regex', {
+            type : 'string',
+            describe : 'Regex for the marker of inner text ignored in the next element.'
+        })
+        .option('repeat-regex', {
+            type : 'string',
+            describe : 'Regex for the marker of a list whose repeated items are collapsed.'
+        })
+        .option('collapse-repeats', {
+            type : 'boolean',
+            default : undefined,
+            describe : 'Collapse all runs of identical sibling elements, so lists of different lengths match.'
+        })
+        .option('similarity-threshold', {
+            type : 'number',
+            describe : 'Report modules which can\'t be compared, but are at least this similar (0 to 1) to another module. Defaults to 0.8.'
+        })
+        .option('first-error-only', {
+            type : 'boolean',
+            default : undefined,
+            describe : 'Report only the first mismatch in each module (default). Use --no-first-error-only to show all.'
+        })
+        .option('baseline', {
+            alias : 'b',
+            type : 'string',
+            describe : 'Compare modules against this baseline file instead of each other.'
+        })
+        .option('update-baseline', {
+            alias : 'u',
+            type : 'boolean',
+            default : undefined,
+            describe : 'Write current modules to the baseline file instead of checking against it.'
+        })
+        .option('lint', {
+            type : 'boolean',
+            describe : 'Check module, ignore and optional markers for problems instead of comparing, and list them all.'
+        })
+        .option('catalog', {
+            type : 'boolean',
+            describe : 'Describe the structure of every module, as a spec of the markup, instead of comparing.'
+        })
+        .option('catalog-format', {
+            choices : ['markdown', 'json', 'html'],
+            describe : 'Format of the catalog. Defaults to markdown.'
+        })
+        .option('watch', {
+            alias : 'w',
+            type : 'boolean',
+            describe : 'Keep running, and compare again the modules in files which change.'
+        })
+        .option('watch-delay', {
+            type : 'number',
+            describe : 'Milliseconds to wait after a file changes before comparing. Defaults to 200.'
+        })
+        .option('format', {
+            alias : 'f',
+            choices : Object.keys(markupDiff.reporters),
+            describe : 'Output format. Defaults to console.'
+        })
+        .option('output', {
+            alias : 'o',
+            type : 'string',
+            describe : 'Write report to this file instead of console.'
+        })
+        .fail(function(message){
+            yargs.showHelp();
+            console.error(message);
+            process.exit(exitCodes.error);
+        })
+        .help('help')
+        .alias('help', 'h')
+        .epilog('Exits with 0 if all modules match, 1 if mismatches are found, 2 on error.')
+        .argv;
+
+
+/**
+ * Converts a source argument to a source object for markupDiff.compare(). Urls become http.request options with
+ * headers, cookies and auth from arguments, anything else is treated as a glob.
+ */
+function toSource(arg){
+    var source = parseUrl(arg);
+
+    if (!source)
+        return { glob : arg };
+
+    if (argv.auth)
+        source.auth = argv.auth;
+
+    if (argv.header){
+        source.headers = {};
+        argv.header.forEach(function(header){
+            var separator = String(header).indexOf(':');
+            source.headers[String(header).substr(0, separator).trim()] = String(header).substr(separator + 1).trim();
+        });
+    }
+
+    if (argv.cookie)
+        source.cookies = argv.cookie.map(String).join('; ');
+
+    return source;
+}
+
+
+var references = (argv.reference || []).map(function(arg){
+        var source = toSource(String(arg));
+        source.reference = true;
+        return source;
+    }),
+    crawls = (argv.crawl || []).map(function(arg){
+        var source = {
+            crawl : String(arg),
+            depth : argv.crawlDepth,
+            limit : argv.crawlLimit,
+            include : (argv.crawlInclude || []).map(String),
+            exclude : (argv.crawlExclude || []).map(String)
+        };
+
+        // crawl source takes the same headers, cookies and auth as url sources
+        var urlSource = toSource(String(arg));
+        ['headers', 'cookies', 'auth'].forEach(function(key){
+            if (urlSource[key])
+                source[key] = urlSource[key];
+        });
+
+        return source;
+    }),
+    sources = references.concat(argv._.map(function(arg){ return toSource(String(arg)); }), crawls),
+    options = {
+        encoding : argv.encoding,
+        timeout : argv.timeout,
+        maxRedirects : argv.maxRedirects,
+        concurrency : argv.concurrency,
+        cache : argv.cache,
+        render : argv.render,
+        renderReady : argv.renderReady,
+        renderTimeout : argv.renderTimeout,
+        renderHosts : argv.renderHost ? argv.renderHost.map(String) : undefined,
+        processInnerText : argv.processInnerText,
+        sortAttributes : argv.sortAttributes,
+        collapseRepeats : argv.collapseRepeats,
+        moduleDelimiter : argv.moduleDelimiter,
+        moduleAttribute : argv.moduleAttribute,
+        moduleVariantAttribute : argv.moduleVariantAttribute,
+        similarityThreshold : argv.similarityThreshold,
+        watchDelay : argv.watchDelay,
+        consoleOut : true,
+        consoleOutFirstErrorOnly : argv.firstErrorOnly,
+        reporter : argv.format,
+        reportFile : argv.output,
+        catalogFormat : argv.catalogFormat,
+        baseline : argv.baseline,
+        updateBaseline : argv.updateBaseline
+    },
+    regexOptions = ['startModuleRegex', 'endModuleRegex', 'startIgnoreRegex', 'endIgnoreRegex', 'startOptionalRegex',
+        'endOptionalRegex', 'ignoreAttributesRegex', 'ignoreTextRegex', 'repeatRegex', 'moduleClassRegex'];
+
+if (argv.attributes)
+    options.attributes = argv.attributes.map(String);
+
+if (argv.excludeAttributes)
+    options.excludeAttributes = argv.excludeAttributes.map(String);
+
+if (argv.tokenAttributes || argv.presenceAttributes){
+    options.attributeRules = {};
+    (argv.tokenAttributes || []).forEach(function(name){
+        options.attributeRules[String(name)] = { tokens : true };
+    });
+    (argv.presenceAttributes || []).forEach(function(name){
+        options.attributeRules[String(name)] = { presence : true };
+    });
+}
+
+for (var i = 0 ; i < regexOptions.length ; i ++){
+    var value = argv[regexOptions[i]];
+    if (value === undefined)
+        continue;
+
+    try {
+        options[regexOptions[i]] = new RegExp(value);
+    } catch(ex){
+        console.error('Invalid regex for ' + regexOptions[i] + ' : ' + ex.message);
+        process.exit(exitCodes.error);
+    }
+}
+
+/**
+ * Loads the config file given with --config, or found from the current directory. Exits with the error code if it's
+ * invalid.
+ */
+function loadConfig(){
+    if (argv.config === false)
+        return null;
+
+    var file = argv.config ? String(argv.config) : markupDiff.config.find();
+    if (!file)
+        return null;
+
+    try {
+        return markupDiff.config.load(file);
+    } catch(ex){
+        console.error(ex.description + ' (code ' + ex.code + ')');
+        process.exit(exitCodes.error);
+    }
+}
+
+var config = loadConfig();
+
+// options on the command line override the config's
+if (config)
+    for (var key in config.options)
+        if (options[key] === undefined)
+            options[key] = config.options[key];
+
+if (!argv._.length && !argv.crawl){
+    if (!config || !config.sources.length){
+        yargs.showHelp();
+        console.error('At least one source is required.');
+        process.exit(exitCodes.error);
+    }
+
+    sources = references.concat(config.sources);
+}
+
+function done(err, result){
+    if (err){
+        console.error(err.description + ' (code ' + err.code + ')');
+        process.exitCode = exitCodes.error;
+        return;
+    }
+
+    var changes = result.results.changes,
+        changed = changes ? changes.changed.length + changes.added.length + changes.removed.length : 0;
+
+    process.exitCode = Object.keys(result.results.errors).length || changed ? exitCodes.mismatch : exitCodes.match;
+}
+
+/**
+ * Reports errors in watch mode, where the command keeps running after them.
+ */
+function watched(err){
+    if (err)
+        console.error(err.description + ' (code ' + err.code + ')');
+}
+
+if (argv.from){
+    // several globs are matched as one brace pattern
+    var globs = argv._.map(String);
+
+    markupDiff.compareRevisions({
+        repo : argv.repo,
+        glob : globs.length > 1 ? '{' + globs.join(',') + '}' : globs[0],
+        from : argv.from,
+        to : argv.to
+    }, options, done);
+} else if (argv.lint)
+    markupDiff.lint(sources, options, function(err, result){
+        if (err)
+            return done(err);
+
+        process.exitCode = result.problems.some(function(problem){ return problem.severity === 'error'; }) ?
+            exitCodes.mismatch : exitCodes.match;
+    });
+else if (argv.catalog)
+    markupDiff.catalog(sources, options, function(err){
+        if (err)
+            return done(err);
+
+        process.exitCode = exitCodes.match;
+    });
+else if (argv.watch)
+    markupDiff.watch(sources, options, watched);
+else
+    markupDiff.compare(sources, options, done);
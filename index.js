@@ -1,17 +1,27 @@
 'use strict';
 
 /**
- * Compares modules in sources. Files can be a url, or a path. A path can be a directory or file.
+ * MarkupDiff works in stages, each of which is exported and can be used on its own :
+ *
+ * loadSource : source object -> [ { content : string, path : string } ]
+ * flatten : HTML string -> [ string ] (nodeToLine does the same for a DOM node)
+ * linesToModules : { lines : [ string ], path : string } -> { module : { path : [ string ] } }, nesting tree
+ * compareModules : { module : { path : [ string ] } }, [ reference path ] -> { errors : { }, warnings : { }, comparisons : [ ] }
+ * similarity : [ string ], [ string ] -> score from 0 to 1
+ * buildCatalog : { module : { path : [ string ] } } -> description of each module's structure
  *
- * @param {array} sources Array of HTML file sources (directory or URLs). Required.
- * @param {object} options Overrides defaults. Required.
- * @param {function} callback Results of comparison {err, results} are passed as parameter. Required.
- * @return {null} Use callback for return value. Returns an object contains analysis of markup, and errors/warning if
- * any.
+ * compare() runs all stages on an array of sources. With the baseline option set, modules are compared against a
+ * baseline file instead of each other (see lib/baseline.js). compareRevisions() compares files in a git repository
+ * between two revisions (see lib/revisions.js). watch() compares again whenever watched files change (see
+ * lib/watch.js). Options can be overridden per module with options.moduleOptions, and can be read from a config file
+ * with config.load() (see lib/config.js).
  *
  * Error codes :
  * The basic error object has two properties { description : text, code : integer }. Additional properties may be
- * appended if applicable. Only one error is raised at a time. Markup differences are not errors.
+ * appended if applicable. Errors for broken markup (5-7, 17, 22, 25) are Error instances with description and code set,
+ * those found by checking markers (see linesToModules.check) also have the file, line and column of the problem. Only
+ * one error is raised at a time, lint() lists every markup problem instead. Markup differences are not errors. Errors
+ * are never signalled by setting the process exit code, that is left to the caller (see bin/markupdiff.js).
  *
  * 1 : Invalid location path
  * 2 : Missing location path
@@ -20,534 +30,285 @@
  * 5 : Mismatched ignore start/stop tag count
  * 6 : Mismatched module start/stop tag count
  * 7 : Module start Regex returned incorrect args count
+ * 8 : Unknown reporter
+ * 9 : Baseline file could not be read
+ * 10 : Baseline file is invalid or has an unsupported version
+ * 11 : Http request failed
+ * 12 : Http response status is not 2xx
+ * 13 : Http request timed out
+ * 14 : Too many http redirects
+ * 15 : Invalid crawl url
+ * 16 : File could not be read
+ * 17 : Optional start/end mismatch
+ * 18 : Invalid module delimiter, or class delimiter without moduleClassRegex
+ * 19 : Git command failed
+ * 20 : Invalid config file
+ * 21 : Files could not be watched
+ * 22 : Crossing markers, eg a module ends inside an ignore block
+ * 23 : Module appears more than once in a source (lint warning only)
+ * 24 : Empty module (lint warning only)
+ * 25 : Module start without a name
+ * 26 : Unknown catalog format
+ * 27 : Invalid module options, an override brings back markup that options leave out
  */
 
-module.exports.compare = function(sources, options, callback){
-
-    var http = require('http'),
-        https = require('https'),
-        process = require('process'),
-        jsdom = require('jsdom-no-contextify').jsdom,
-        path = require('path'),
-        colors = require('colors'),
-        _ = require('lodash'),
-        fs = require('fs'),
-        sourceIndex = 0,
-        fetchedSources = [],
-        defaults = {
-
-            // encoding for reading/downloading files
-            encoding : 'utf8',
-
-            // if true, results will be written to console directly
-            consoleOut : true,
-
-            // if true, reports only first error. Useful to prevent a flood errors after an inserted-line mismatch.
-            consoleOutFirstErrorOnly : true,
-
-            // Names of attributes to check for conflicts. If none, all attributes will be checked.
-            // Names can be regex patterns.
-            attributes : [],
-
-            // if true, text inside nodes will be treated as structure - the text context is ignored, but its presence
-            // will count as a node
-            processInnerText : true,
-
-            // Start tag of module. Must be embedded in markup. Must return unique module name.
-            startModuleRegex : /<!--module:(\S*)-->/,
+var loadSource = require('./lib/loadSource'),
+    documents = require('./lib/documents'),
+    nodeToLine = require('./lib/nodeToLine'),
+    linesToModules = require('./lib/linesToModules'),
+    compareModules = require('./lib/compareModules'),
+    baseline = require('./lib/baseline'),
+    report = require('./lib/report'),
+    reporters = require('./lib/reporters'),
+    nodeify = require('./lib/nodeify'),
+    locations = require('./lib/locations'),
+    revisions = require('./lib/revisions'),
+    similarity = require('./lib/similarity'),
+    moduleOptions = require('./lib/moduleOptions'),
+    config = require('./lib/config'),
+    watch = require('./lib/watch'),
+    lint = require('./lib/lint'),
+    catalog = require('./lib/catalog'),
+    options = require('./lib/options');
 
-            // End tag of module.
-            endModuleRegex : /<!--\/module-->/,
 
-            // start of ignore block
-            startIgnoreRegex : /<!--module!ignore-->/,
+/**
+ * Compares modules in sources. Files can be a url, or a path. A path can be a directory or file.
+ *
+ * @param {array} sources Array of HTML file sources (directory or URLs), see loadSource. Required.
+ * @param {object} options Overrides defaults. Optional.
+ * @param {function} callback Results of comparison {err, results} are passed as parameter. Optional.
+ * @return {Promise} Resolves with an object : { modules : object, tree : object, results : object }, where modules and
+ * tree are the output of linesToModules and results the output of compareModules, with modules which are likely
+ * renamed added as results.similar (see lib/similarity.js). When checking against a baseline, modules also contains
+ * the baseline's instances. Modules skipped by options.moduleOptions are not compared, and are warned about with
+ * skipped : true. Rejects with an error object.
+ *
+ * Each side of an error in results has a location : { file : string, line : integer, column : integer, domPath :
+ * string }, the position of the difference in the source markup (url or file path, line and column) and the CSS path
+ * to its element. Location is null for baseline instances.
+ */
+module.exports.compare = function(sources, compareOptions, callback){
 
-            // end of ignore block
-            endIgnoreRegex : /<!--\/module!ignore-->/
-        };
+    if (typeof compareOptions === 'function'){
+        callback = compareOptions;
+        compareOptions = null;
+    }
 
-    // enforce arguments (past this check errors are returned via callback)
+    // enforce arguments (past this check errors are returned via callback / promise)
     if (!sources || !Array.isArray(sources))
         throw 'Sources is required, and must be an array';
 
-    if (!options || typeof options !== 'object')
-        throw 'Options is required, and must be an object';
+    if (compareOptions && typeof compareOptions !== 'object')
+        throw 'Options must be an object';
 
-    if (!callback || typeof callback !== "function")
-        throw 'Callback is required, and must be a function';
+    if (callback && typeof callback !== "function")
+        throw 'Callback must be a function';
 
-    options = _.merge(defaults, options);
+    compareOptions = options.resolve(compareOptions);
 
-    doNextSource();
+    return nodeify(documents.load(sources, compareOptions).then(function(loaded){
+        var extracted = linesToModules.extract(loaded.documents, compareOptions),
+            overridden = moduleOptions.apply(extracted, compareOptions),
+            modules = overridden.modules,
+            results;
 
+        // compares modules for differences, against each other or against a baseline
+        if (compareOptions.baseline && compareOptions.updateBaseline){
+            baseline.save(modules, compareOptions.baseline, compareOptions);
+            results = { errors : {}, warnings : {}, comparisons : [] };
 
-    /**
-     * Gets the next source, or proceeds to comparison check when all sources are loaded.
-     */
-    function doNextSource(){
-        if (sourceIndex === sources.length) {
-            compareSources(fetchedSources);
-        } else {
-            loadSource(sources[sourceIndex], function(source){
-                fetchedSources = fetchedSources.concat(source);
-                sourceIndex ++;
-                doNextSource();
-            });
-        }
-    }
-
+            if (compareOptions.consoleOut)
+                console.log(('Baseline written to ' + compareOptions.baseline).green);
 
-    /**
-     * Loads/fetches html documents at a given source. source can be a url, or a path glob. Returns one or more
-     * documents (glob can return multipl files).
-     *
-     * source can be one of two types :
-     *
-     * { host : 'www.domain.com', port : 80, path : '/page.html' }
-     * This is the standard node.js "http.request" options object
-     * (https://nodejs.org/api/http.html#http_http_request_options_callback)
-     *
-     * Or
-     * { glob : 'some/path/', options : { } }
-     * Options here is the standard 'glob' package's options
-     * (https://github.com/isaacs/node-glob)
-     *
-     * Returns an array of objects : { content : string, source : string }
-     * Where content is the markup of the target document, source is its unique file path / url.
-     */
-    function loadSource(source, localCallback){
-
-        if (source.host){
-
-            if (!source.port)
-                source.port = 80;
-
-            if (source.path === undefined || source.path === null){
-                callback({ description : 'Url source expects a page argument', code : 2}, null);
-                process.exitCode  = 1;
-                return;
-            }
-
-            // path must have leading / or request will fail, this is a nodejs http thing
-            if (source.path.indexOf('/') !== 0) {
-                callback({description : 'path needs to start with /', code : 1}, null);
-                process.exitCode  = 1;
-                return;
-            }
-
-            var content = '',
-                protocol = source.https ? https : http,
-                req = protocol.request(source, function(res) {
-                    res.setEncoding(options.encoding);
-                    res.on('data', function (chunk) {
-                        content += chunk;
-                    });
-
-                    res.on('end', function () {
-                        localCallback([{
-                            content : content,
-                            path : path.join(source.host, source.path)
-                        }]);
-                    });
-                });
-
-            req.end();
-
-        } else if (source.glob) {
-            var glob = require('glob');
-
-            glob(source.glob, source.options || { }, function(er, files){
-
-                // exit on error
-                if (er){
-                    callback( {description : 'Glob error', code : 3, inner : er}, null);
-                    process.exitCode  = 1;
-                    return;
-                }
-
-                if (files.length === 0)
-                    console.warn('No files found for "' + source.glob + '".');
-
-                var results = [];
-
-                for (var i = 0 ; i < files.length ; i ++)
-                    results.push({
-                        content : fs.readFileSync(files[i], { encoding : options.encoding}),
-                        path : files[i]
-                    });
-
-                localCallback(results);
-            });
+        } else if (compareOptions.baseline){
+            var checked = baseline.check(modules, baseline.load(compareOptions.baseline, compareOptions));
+            modules = checked.modules;
+            results = checked.results;
 
         } else {
-            callback({description : 'Unsupported source. ' + source, code : 4 }, null);
-            process.exitCode  = 1;
+            results = compareModules(modules, loaded.references);
         }
-    }
-
-
-    /**
-     * @param {array} sources Array of source objects : { content : string, location : string }
-     */
-    function compareSources(sources){
 
-        // Each source is a raw HTML file (string). Each file needs to converted into an array of "line objects".
-        // LineArrays is therefore an array of arrays.
-        var sourcesAsLines = [];
-        for (var i = 0 ; i < sources.length ; i ++){
-            var linesOut = [],
-                dom = jsdom(sources[i].content);
-
-            // start recursive process for all nodes in dom
-            nodeToLine(dom.body, linesOut);
-
-            sourcesAsLines.push({
-                lines : linesOut,
-                path : sources[i].path
-            });
-        }
+        moduleOptions.skip(modules, results, overridden.skipped);
+        finish(modules, results, extracted, compareOptions);
+        return { modules : modules, tree : extracted.tree, results : results };
+    }), callback);
+};
 
-        // Line arrays are then split into modules - we're interested in modules only, not rest of dom.
-        var modules = {};
-        for (var i = 0 ; i < sourcesAsLines.length ; i ++)
-            linesToModules(sourcesAsLines[i], modules);
 
-        // compares modules for differences
-        var results = compareModules(modules);
+/**
+ * Compares the modules in files of a local git repository between two revisions, eg to find the modules changed in a
+ * pull request. Each instance is compared with the instance in the same file at the other revision.
+ *
+ * @param {object} source { repo : string, glob : string, from : string, to : string }, where repo is a directory in the
+ * repository (defaults to the current directory), glob the files to compare, relative to the repository root, and
+ * from and to are revisions, eg 'HEAD~1' and 'HEAD', or branch names. Required.
+ * @param {object} options Overrides defaults. Optional.
+ * @param {function} callback Results of comparison {err, results} are passed as parameter. Optional.
+ * @return {Promise} Resolves with an object : { modules : object, tree : object, results : object }, as compare().
+ * results also has changes, the names of modules changed, added, removed and unchanged between from and to, see
+ * lib/revisions.js. Rejects with an error object.
+ */
+module.exports.compareRevisions = function(source, compareOptions, callback){
 
-        // write results to console if necessary
-        if (options.consoleOut) {
-            var modulesShown = {};
+    if (typeof compareOptions === 'function'){
+        callback = compareOptions;
+        compareOptions = null;
+    }
 
-            console.log(('Found ' + Object.keys(modules).length + ' module(s).').green);
+    if (!source || !source.glob || !source.from || !source.to)
+        throw 'Source is required, and must have glob, from and to';
 
-            if (Object.keys(results.errors).length){
-                console.log('Detected the following mismatches : ');
+    compareOptions = options.resolve(compareOptions);
 
-                for (var module in results.errors){
-                    var error = results.errors[module];
+    var sources = [source.from, source.to].map(function(revision){
+        return { git : revision, glob : source.glob, repo : source.repo };
+    });
 
-                    // if configured, show first error in module only
-                    if (options.consoleOutFirstErrorOnly && modulesShown[module]){
-                        if (modulesShown[module] === 1) {
-                            console.log((module + ' - additional errors suppressed').red);
-                            modulesShown[module] = 2;
-                        }
-                        continue;
-                    }
+    return nodeify(documents.load(sources, compareOptions).then(function(loaded){
+        var extracted = linesToModules.extract(loaded.documents, compareOptions),
+            overridden = moduleOptions.apply(extracted, compareOptions),
+            results = revisions.check(overridden.modules, source.from, source.to);
 
-                    modulesShown[module] = 1;
-                    for (var line in error){
-                        console.log();
-                        console.log(('module ' + module + ', line ' + line).red);
+        moduleOptions.skip(extracted.modules, results, overridden.skipped);
+        finish(extracted.modules, results, extracted, compareOptions);
+        return { modules : extracted.modules, tree : extracted.tree, results : results };
+    }), callback);
+};
 
-                        // show paths
-                        for (var i = 0 ; i < error[line].length ; i ++)
-                            console.log(error[line][i].path);
 
-                        // then show source code
-                        for (var i = 0 ; i < error[line].length ; i ++)
-                            console.log((error[line][i].src).yellow);
-                    }
+/**
+ * Compares modules in sources, then watches the files of glob sources and compares again whenever they change. Only
+ * changed files are parsed again, and only the modules in them are compared again. A burst of changes is compared
+ * once, see options.watchDelay.
+ *
+ * @param {array} sources Array of HTML file sources, see compare(). Required.
+ * @param {object} options Overrides defaults. Optional.
+ * @param {function} callback (err, update), called after the first comparison and after each change. update is {
+ * changed : [ string ], affected : [ string ], modules : object, tree : object, results : object }, where changed are
+ * the paths of changed documents, affected the names of modules compared again, and the rest the current state of all
+ * modules, as compare() resolves with. Required.
+ * @return {object} { close : function }, call close() to stop watching.
+ */
+module.exports.watch = function(sources, compareOptions, callback){
 
+    if (typeof compareOptions === 'function'){
+        callback = compareOptions;
+        compareOptions = null;
+    }
 
-                }
-            } else {
-                console.log(('No mismatches detected.').green);
-            }
-        }
+    if (!sources || !Array.isArray(sources))
+        throw 'Sources is required, and must be an array';
 
-        // finally, pass errors back via callback
-        if (callback)
-            callback(null, { modules : modules,  results : results});
-    }
+    if (compareOptions && typeof compareOptions !== 'object')
+        throw 'Options must be an object';
 
+    if (typeof callback !== "function")
+        throw 'Callback is required, and must be a function';
 
-    /**
-     * Converts the contents of node to a string, and recurses for all children of that node. Children will be wrapped
-     * inside a closing tag of the parent node if applicable.
-     *
-     * outArray is an array of strings.
-     */
-    function nodeToLine(node, outArray){
-        var flattened = null;
-
-        // handle different node types
-        if (node.nodeType === 1)
-        {
-            // Structural nodes are recreated here. The recreated node structure is not identical to the source HTML, as
-            // JSDOM doesn't parse 100% accurately, however, JSOM is always consistent in how it parses. Identical markup
-            // always parses the same, and we are interested in differences only.
-
-            flattened = '<' + node.tagName.toLowerCase();
-
-            // transfer node attribute values - if options.attributes are set, only attributes which match that list
-            if (node.attributes)
-                for (var j = 0 ; j < node.attributes.length ; j ++){
-                    var attribute = node.attributes[j],
-                        attributeAllowed = false;
-
-                    if (options.attributes.length)
-                        for (var k = 0 ; k < options.attributes.length ; k  ++){
-                            var reg = new RegExp(options.attributes[k]);
-                            if (attribute.name.match(reg)){
-                                attributeAllowed = true;
-                                break;
-                            }
-                        }
-                    else
-                        attributeAllowed = true;
-
-                    if (attributeAllowed)
-                        flattened += ' ' + attribute.name+'="' + attribute.value + '"' ;
-                }
-
-            flattened += '>';
-        }
-        else if (node.nodeType === 3 && options.processInnerText){
-            // replace inner text content with a standard element - we want to test for presence, not content,  of
-            // innertext
-            var nodeValue = node.nodeValue.trim();
-            nodeValue = nodeValue.replace(/\n/, '');
-            if (nodeValue.length > 0)
-                flattened = '<innertext/>';
-        }
-        else if (node.nodeType === 8){
-            // recreate comments
-            flattened = '<!--' + node.nodeValue + '-->';
-        }
+    return watch(sources, options.resolve(compareOptions), callback);
+};
 
-        if (flattened)
-            outArray.push(flattened);
 
-        // recurse for children
-        for (var i = 0 ; i < node.childNodes.length ; i ++)
-            nodeToLine(node.childNodes[i], outArray);
+/**
+ * Checks the module, ignore and optional markers in sources, and lists every problem in every source, where compare()
+ * stops at the first one. Problems are unbalanced or crossing markers, modules without a name (errors), and empty
+ * modules and modules found more than once in a source (warnings). See linesToModules.check().
+ *
+ * @param {array} sources Array of HTML file sources, see compare(). Required.
+ * @param {object} options Overrides defaults. Problems are written to console if consoleOut is set. Optional.
+ * @param {function} callback (err, result). Optional.
+ * @return {Promise} Resolves with { problems : [ Error ], documents : [ string ] }, where each problem has description,
+ * code, severity ('error' or 'warning'), file, line, column and domPath, and documents are the paths checked. Rejects
+ * with an error object if a source can't be loaded.
+ */
+module.exports.lint = function(sources, compareOptions, callback){
 
-        // close node off if structural
-        if (node.nodeType === 1)
-            outArray.push('</' + node.tagName.toLowerCase() + '>');
+    if (typeof compareOptions === 'function'){
+        callback = compareOptions;
+        compareOptions = null;
     }
 
+    if (!sources || !Array.isArray(sources))
+        throw 'Sources is required, and must be an array';
 
-    /**
-     * Divides lines into modules. Modules are defined by start/end tags. Content within ignored blocks are not
-     * included.
-     *
-     * @param {object} sourceLines SourceLines is an object : { lines : [ string ], path : string}. This contains HTML
-     * from a unique source, divided up into an array of string lines.
-     *
-     * @param {object} modules Modules found will be appended to this object as follows :
-     *
-     *      {
-     *          someModule : {
-     *              aLocation : [ string ],
-     *              otherLocation : [ string ],
-     *          },
-     *
-     *          otherModule : ...
-     *      }
-     *
-     *      Module name is unique, and a location can have only one module in its markup. Duplicates will be
-     *      overwritten, last one wins.
-     *
-     */
-    function linesToModules(sourceLines, modules){
-
-        var moduleStarts = 0,
-            ignoreStarts = 0,
-            ignoreEnds = 0,
-            testOut = '',
-            moduleEnds = 0;
-
-        // ensure that start and enf flag counts are equal
-        for (var i = 0 ; i < sourceLines.lines.length ; i ++) {
-            var line = sourceLines.lines[i];
-
-            if (options.startModuleRegex.exec(line))
-                moduleStarts ++;
-            else if (options.endModuleRegex.exec(line))
-                moduleEnds ++;
-
-            if (options.startIgnoreRegex.exec(line))
-                ignoreStarts ++;
-            else if (options.endIgnoreRegex.exec(line))
-                ignoreEnds ++;
-
-            testOut += line + '\r\n';
-        }
+    if (compareOptions && typeof compareOptions !== 'object')
+        throw 'Options must be an object';
 
-        // exit if start/end tags don't match, this means modules/ignore structure is broken
-        if (ignoreStarts !== ignoreEnds){
-            callback({ description : 'Ignore start/end mismatch at ' + sourceLines.path, code : 5 }, null);
-            process.exitCode  = 1;
-            return;
-        }
+    if (callback && typeof callback !== "function")
+        throw 'Callback must be a function';
 
-        // exit if start/end tags don't match, this means modules/ignore structure is broken
-        if (moduleStarts !== moduleEnds){
-            callback ({ description : 'Module start/end mismatch as ' +  + sourceLines.path, code : 6 }, null);
-            return;
-        }
+    compareOptions = options.resolve(compareOptions);
 
-        // remove ignore tags
-        while (true) {
-            var startPosition = -1;
+    return nodeify(lint(sources, compareOptions).then(function(result){
+        if (compareOptions.consoleOut)
+            console.log(lint.format(result));
 
-            for (var i = 0 ; i < sourceLines.lines.length ; i ++) {
-                var line = sourceLines.lines[i];
+        return result;
+    }), callback);
+};
 
-                // find start tag furthest down array
-                var startMatches = options.startIgnoreRegex.exec(line);
-                if (startMatches)
-                    startPosition = i;
 
-                // find end tag after last start tag - this will be the closing tag
-                if (options.endIgnoreRegex.exec(line) && startPosition !== -1){
-                    sourceLines.lines.splice(startPosition, i - startPosition + 1); // cut out of array, including start/end tags
-                    break;
-                }
-            }
+/**
+ * Describes every module in sources without comparing them : the sources it is in, its element tree with the classes
+ * and attribute values allowed on each element, its inner text slots and the modules nested in it. See
+ * lib/catalog.js. The catalog is written to options.reportFile, or to console if consoleOut is set, in
+ * options.catalogFormat.
+ *
+ * @param {array} sources Array of HTML file sources, see compare(). Reference sources give the structure of modules.
+ * Required.
+ * @param {object} options Overrides defaults. Optional.
+ * @param {function} callback (err, catalog). Optional.
+ * @return {Promise} Resolves with the catalog, see catalog.build(). Rejects with an error object.
+ */
+module.exports.catalog = function(sources, compareOptions, callback){
 
-            // no more modules, exit
-            if (startPosition === -1)
-                break;
-        }
+    if (typeof compareOptions === 'function'){
+        callback = compareOptions;
+        compareOptions = null;
+    }
 
+    if (!sources || !Array.isArray(sources))
+        throw 'Sources is required, and must be an array';
 
-        // find modules
-        while (true){
-            var startPosition = -1,
-                moduleName = '';
-
-            for (var i = 0 ; i < sourceLines.lines.length ; i ++) {
-                var line = sourceLines.lines[i];
-
-                // find start tag furthest down array
-                var startMatches = options.startModuleRegex.exec(line);
-                if (startMatches){
-                    startPosition = i;
-
-                    // this should never happen, but rather throw exception than do array overrun
-                    if (startMatches.length < 2){
-                        callback({ description : 'Regex for module startTag returned unexpected match count.', code: 7 } , null);
-                        process.exitCode  = 1;
-                        return;
-                    }
-
-                    moduleName = startMatches[1].trim();
-                }
-
-                // find end tag after last start tag - this will be the closing tag
-                if (options.endModuleRegex.exec(line) && startPosition !== -1){
-
-                    var sourceName = sourceLines.path;
-                    modules[moduleName] = modules[moduleName] || {};
-                    modules[moduleName][sourceName] = sourceLines.lines.splice(startPosition, i - startPosition + 1); // cut module out of array, including start/end tags
-                    modules[moduleName][sourceName].splice(0,1); // discard first (start tag), we don't need it
-                    modules[moduleName][sourceName].splice(modules[moduleName][sourceName].length - 1, 1); // discard last(end tag), we don't need it
-                    break;
-                }
-            }
-
-            // no more modules, exit
-            if (startPosition === -1)
-                break;
-        }
-    }
+    if (compareOptions && typeof compareOptions !== 'object')
+        throw 'Options must be an object';
 
+    if (callback && typeof callback !== "function")
+        throw 'Callback must be a function';
 
-    /**
-     * Compares modules for differences. Prints results to console if enabled. Returns an object with parsed markup,
-     * warnings and errors, formatted as follows :
-     *
-     *   {
-     *
-     *     errors : {
-     *       module : {
-     *         line : [
-     *          { src : text, path : text},
-     *          { src : text, path : text}
-     *         ]
-     *       }
-     *     }
-     *
-     *     warnings : {
-     *
-     *       module : {
-     *         description : string,
-     *         source: string
-     *       }
-     *
-     *       someOtherModule : ...
-     *     }
-     *   }
-     */
-    function compareModules(modules)
-    {
-        var results = {
-            errors : {},
-            warnings : {}
-        };
-
-        for (var module in modules){
-
-            // check if only instance of a module was detected, then warn
-            if (Object.keys(modules[module]).length === 1){
-                results.warnings[module] = {
-                    description : 'Only only one instance of module "' + module + '" detected, unable to test.',
-                    path : Object.keys(modules[module])[0]
-                };
-                continue;
-            }
-
-            for (var source in modules[module]){
-
-                for (var otherSource in modules[module]){
-
-                    // don't test against self
-                    if (source === otherSource)
-                        continue;
-
-                    var sourceModule = modules[module][source],
-                        testModule = modules[module][otherSource];
-
-                    for (var i = 0 ; i < sourceModule.length ;  i++){
-                        var testLine = null,
-                            mainLine = sourceModule[i];
-
-                        // the "line" being tested against must be in the same position in the
-                        // corresponding array
-                        if (testModule.length >= i)
-                            testLine = testModule[i];
-
-                        // null check
-                        var fail = false;
-                        if (!testLine || !mainLine)
-                            fail = true;
-                        else if (testLine.markup !==  mainLine.markup)
-                            fail = true;
-
-
-                        if (fail) {
-                            results.errors[module] = results.errors[module] || { };
-                            results.errors[module][i + 1] = [
-                                {
-                                    src : mainLine ? mainLine : '[no corresponding line]',
-                                    path : source
-                                },
-                                {
-                                    src : testLine ?  testLine : '[no corresponding line]',
-                                    path : otherSource
-                                }
-                            ]
-                        }
-                    }
-                }
-            }
-        }
+    compareOptions = options.resolve(compareOptions);
 
-        return results;
-    }
+    return nodeify(catalog(sources, compareOptions).then(function(result){
+        if (compareOptions.consoleOut || compareOptions.reportFile)
+            catalog.write(result, compareOptions);
 
+        return result;
+    }), callback);
 };
+
+
+/**
+ * Adds likely renamed modules and source locations to results, and writes results to console/file if necessary.
+ */
+function finish(modules, results, extracted, compareOptions){
+    similarity.detect(modules, results, compareOptions.similarityThreshold);
+    locations.annotate(results, extracted.locations);
+
+    if (compareOptions.consoleOut || compareOptions.reportFile)
+        report.write(modules, results, compareOptions, extracted.tree);
+}
+
+module.exports.loadSource = loadSource;
+module.exports.nodeToLine = nodeToLine.nodeToLine;
+module.exports.flatten = nodeToLine.flatten;
+module.exports.linesToModules = linesToModules;
+module.exports.compareModules = compareModules;
+module.exports.similarity = similarity.score;
+module.exports.baseline = baseline;
+module.exports.config = config;
+module.exports.buildReport = report.build;
+module.exports.buildCatalog = catalog.build;
+module.exports.reporters = reporters;
+module.exports.defaults = options.defaults;
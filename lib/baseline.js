@@ -0,0 +1,134 @@
+'use strict';
+
+var fs = require('fs'),
+    comparePair = require('./compareModules').comparePair,
+    resolveOptions = require('./options').resolve;
+
+
+/**
+ * Version of the baseline file format. Baselines with a different version cannot be loaded.
+ */
+var version = 1;
+
+
+/**
+ * Prefix for baseline instance paths in the modules object returned by check(), so they can't collide with the paths
+ * of current sources.
+ */
+var prefix = 'baseline:';
+
+
+/**
+ * Writes modules to a baseline file, which is JSON formatted as follows :
+ *
+ *      {
+ *          version : 1,
+ *          modules : { module : { path : [ string ] } }
+ *      }
+ *
+ * @param {object} modules Modules as returned by linesToModules. Required.
+ * @param {string} file Path of baseline file. Existing files are overwritten. Required.
+ * @param {object} options MarkupDiff options, only encoding is used. Optional.
+ */
+module.exports.save = function(modules, file, options){
+    options = resolveOptions(options);
+
+    fs.writeFileSync(file, JSON.stringify({ version : version, modules : modules }, null, 2), { encoding : options.encoding });
+};
+
+
+/**
+ * Reads modules from a baseline file written by save().
+ *
+ * @param {string} file Path of baseline file. Required.
+ * @param {object} options MarkupDiff options, only encoding is used. Optional.
+ * @return {object} Modules, in the same format as returned by linesToModules.
+ * @throws {object} Error object, code 9 if file cannot be read, code 10 if it is not a baseline or has a different
+ * version.
+ */
+module.exports.load = function(file, options){
+    options = resolveOptions(options);
+
+    var content,
+        baseline;
+
+    try {
+        content = fs.readFileSync(file, { encoding : options.encoding });
+    } catch(ex){
+        throw { description : 'Could not read baseline ' + file, code : 9, inner : ex };
+    }
+
+    try {
+        baseline = JSON.parse(content);
+    } catch(ex){
+        throw { description : 'Baseline ' + file + ' is not valid JSON', code : 10, inner : ex };
+    }
+
+    if (!baseline || baseline.version !== version || typeof baseline.modules !== 'object')
+        throw { description : 'Baseline ' + file + ' has unsupported version ' + (baseline ? baseline.version : null) +
+            ', expected ' + version + '. Update the baseline to recreate it.', code : 10 };
+
+    return baseline.modules;
+};
+
+
+/**
+ * Compares modules against baseline modules. Each current instance of a module is compared with the baseline instance
+ * from the same path, or the module's first baseline instance if there is none from that path. Modules which are
+ * only in current or only in baseline are warnings.
+ *
+ * @param {object} modules Current modules, as returned by linesToModules. Required.
+ * @param {object} baselineModules Baseline modules, as returned by load(). Required.
+ * @return {object} { modules : object, results : object }, in the same format as compare(). Baseline instances are
+ * included in modules, with their paths prefixed with "baseline:".
+ */
+module.exports.check = function(modules, baselineModules){
+    var combined = {},
+        results = {
+            errors : {},
+            warnings : {},
+            comparisons : []
+        },
+        names = Object.keys(baselineModules).concat(Object.keys(modules).filter(function(name){
+            return !baselineModules.hasOwnProperty(name);
+        }));
+
+    for (var i = 0 ; i < names.length ; i ++){
+        var name = names[i],
+            current = modules[name] || {},
+            baseline = baselineModules[name] || {},
+            basePaths = Object.keys(baseline),
+            currentPaths = Object.keys(current);
+
+        combined[name] = {};
+
+        for (var j = 0 ; j < basePaths.length ; j ++)
+            combined[name][prefix + basePaths[j]] = baseline[basePaths[j]];
+
+        for (var j = 0 ; j < currentPaths.length ; j ++)
+            combined[name][currentPaths[j]] = current[currentPaths[j]];
+
+        if (!basePaths.length){
+            results.warnings[name] = {
+                description : 'Module "' + name + '" is not in baseline, unable to test.',
+                path : currentPaths[0]
+            };
+            continue;
+        }
+
+        if (!currentPaths.length){
+            results.warnings[name] = {
+                description : 'Module "' + name + '" is in baseline, but was not found.',
+                path : prefix + basePaths[0]
+            };
+            continue;
+        }
+
+        for (var j = 0 ; j < currentPaths.length ; j ++){
+            var basePath = baseline.hasOwnProperty(currentPaths[j]) ? currentPaths[j] : basePaths[0];
+            comparePair(results, name, prefix + basePath, baseline[basePath], currentPaths[j], current[currentPaths[j]]);
+        }
+    }
+
+    return { modules : combined, results : results };
+};
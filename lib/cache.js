@@ -0,0 +1,107 @@
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    crypto = require('crypto');
+
+
+/**
+ * Version of the cache entry format. Entries with a different version are ignored.
+ */
+var version = 3;
+
+
+/**
+ * Options which change the output of nodeToLine. Cache keys include their values, so changing any of them invalidates
+ * cached lines.
+ */
+var flattenOptions = ['attributes', 'excludeAttributes', 'attributeRules', 'sortAttributes', 'processInnerText',
+    'ignoreAttributesRegex', 'ignoreTextRegex', 'moduleDelimiter', 'moduleAttribute', 'moduleVariantAttribute',
+    'moduleClassRegex'];
+
+
+/**
+ * Returns sha1 hex digest of text.
+ */
+function hash(text){
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+
+/**
+ * Returns a key for cached lines. The key includes the options which affect flattening, so lines flattened with other
+ * options are not returned.
+ *
+ * @param {string} type Type of key, eg "file", "url", "content". Required.
+ * @param {string} value Value which identifies the cached document, eg path + mtime. Required.
+ * @param {object} options Resolved MarkupDiff options. Required.
+ * @return {string}
+ */
+function key(type, value, options){
+    var signature = flattenOptions.map(function(name){
+        // regexes don't survive JSON.stringify, write them as their source
+        return name + '=' + JSON.stringify(options[name], function(key, value){
+            return value instanceof RegExp ? String(value) : value;
+        });
+    }).join(';');
+
+    return type + ':' + value + '|' + signature;
+}
+
+
+/**
+ * Opens an on-disk cache of flattened document lines in directory dir, which is created if it doesn't exist. Each
+ * entry is a JSON file : { version : 3, key : string, lines : [ string ], positions : array, etag : string, links :
+ * [ string ] }, where positions are the source positions of lines, see nodeToLine.flatten, and links the links in a
+ * crawled page (null for other documents), see crawl.js.
+ *
+ * Returns an object with functions :
+ *
+ * get(key) : returns the entry for key, or null if there is none.
+ * set(key, entry) : writes entry ({ lines : [ string ], positions : array, etag : string, links : [ string ] }) for
+ * key.
+ *
+ * Errors reading or writing entries are ignored, the cache then behaves as if the entry wasn't there.
+ *
+ * @param {string} dir Cache directory. Required.
+ * @return {object}
+ */
+function open(dir){
+
+    function file(entryKey){
+        return path.join(dir, hash(entryKey) + '.json');
+    }
+
+    return {
+
+        get : function(entryKey){
+            try {
+                var entry = JSON.parse(fs.readFileSync(file(entryKey), { encoding : 'utf8' }));
+                return entry.version === version && entry.key === entryKey ? entry : null;
+            } catch(ex){
+                return null;
+            }
+        },
+
+        set : function(entryKey, entry){
+            try {
+                fs.mkdirSync(dir, { recursive : true });
+                fs.writeFileSync(file(entryKey), JSON.stringify({
+                    version : version,
+                    key : entryKey,
+                    lines : entry.lines,
+                    positions : entry.positions || [],
+                    etag : entry.etag || null,
+                    links : entry.links || null
+                }), { encoding : 'utf8' });
+            } catch(ex){
+                console.warn('Could not write cache entry to ' + dir + ' : ' + ex.message);
+            }
+        }
+    };
+}
+
+
+module.exports.hash = hash;
+module.exports.key = key;
+module.exports.open = open;
@@ -0,0 +1,515 @@
+'use strict';
+
+var fs = require('fs'),
+    documents = require('./documents'),
+    linesToModules = require('./linesToModules'),
+    moduleOptions = require('./moduleOptions'),
+    tagLine = require('./tagLine'),
+    escape = require('./reporters/xml').escape;
+
+
+/**
+ * Version of the catalog schema. Increment when the shape of the object returned by build() changes.
+ */
+var version = 1;
+
+
+/**
+ * Kinds of flattened lines besides elements (see tagLine) : nested module placeholders, inner text and blocks, see
+ * linesToModules, nodeToLine, optional.js and collapseRepeats.js.
+ */
+var placeholderRegex = /^<module:(\S+?)(?:\s+variant:(\S+?))?\/>$/,
+    textLine = '<innertext/>',
+    blocks = { '<optional>' : 'optional', '<repeat>' : 'repeat' };
+
+
+/**
+ * Returns the document path of an instance key, see linesToModules.
+ */
+function documentPath(instance){
+    return instance.replace(/#\d+$/, '');
+}
+
+
+/**
+ * Returns the structure of flattened lines without attributes and optional blocks, so instances which only differ in
+ * their attributes and in which optional blocks they have are the same shape.
+ */
+function shape(lines){
+    var depth = 0;
+
+    return lines.filter(function(line){
+        if (line === '<optional>')
+            depth ++;
+
+        if (line === '</optional>'){
+            depth --;
+            return false;
+        }
+
+        return depth === 0;
+    }).map(function(line){
+        var tag = tagLine.parse(line);
+        return tag && !blocks[line] ? '<' + tag.tag + '>' : line;
+    }).join('\n');
+}
+
+
+/**
+ * Returns a CSS-like selector for an element node, eg "h2.card-title".
+ */
+function selector(node){
+    return node.tag + node.classes.map(function(name){ return '.' + name; }).join('');
+}
+
+
+/**
+ * Parses an instance's flattened lines into a tree of nodes :
+ *
+ *   element : { type : 'element', tag : string, classes : [ string ], attributes : { name : [ string ] },
+ *               children : [ node ] }
+ *   text : { type : 'text', slot : string }
+ *   module : { type : 'module', module : string }
+ *   optional, repeat : { type : 'optional' | 'repeat', children : [ node ] }
+ *
+ * where slot is the path of selectors from the module's root to the element the text is in, and module the key of a
+ * nested module. Attributes other than class are listed with the values they have. Paths of text slots are added to
+ * slots, keys of nested modules to nested.
+ */
+function parse(lines, slots, nested){
+    var root = { children : [] },
+        stack = [root];
+
+    lines.forEach(function(line){
+        var parent = stack[stack.length - 1],
+            placeholder = placeholderRegex.exec(line),
+            tag = tagLine.parse(line),
+            node;
+
+        if (line === textLine){
+            var path = stack.slice(1).filter(function(node){
+                    return node.type === 'element';
+                }).map(selector).join(' > ') || '(root)',
+                slot = path,
+                count = 1;
+
+            // several slots in one element are told apart by position
+            while (slots.indexOf(slot) !== -1)
+                slot = path + ' (' + (++ count) + ')';
+
+            slots.push(slot);
+            return parent.children.push({ type : 'text', slot : slot });
+        }
+
+        if (placeholder){
+            var key = linesToModules.moduleKey(placeholder[1], placeholder[2]);
+            if (nested.indexOf(key) === -1)
+                nested.push(key);
+
+            return parent.children.push({ type : 'module', module : key });
+        }
+
+        if (line.indexOf('</') === 0){
+            if (stack.length > 1)
+                stack.pop();
+            return;
+        }
+
+        if (blocks[line])
+            node = { type : blocks[line], children : [] };
+        else if (tag){
+            node = { type : 'element', tag : tag.tag.toLowerCase(), classes : [], attributes : {}, children : [] };
+
+            tag.attributes.forEach(function(attribute){
+                if (attribute.name === 'class')
+                    node.classes = (attribute.value || '').split(/\s+/).filter(Boolean);
+                else
+                    node.attributes[attribute.name] = [ attribute.value || '' ];
+            });
+        } else
+            return; // comments and anything else which isn't structure
+
+        parent.children.push(node);
+        stack.push(node);
+    });
+
+    return root.children;
+}
+
+
+/**
+ * Adds the classes and attribute values of nodes to target, a tree of the same shape (see shape()). Optional blocks
+ * which are in one tree only are passed over, as are their contents if they differ.
+ */
+function merge(target, nodes){
+    var j = 0;
+
+    target.forEach(function(node){
+        while (nodes[j] && nodes[j].type === 'optional' && node.type !== 'optional')
+            j ++;
+
+        var other = nodes[j];
+        if (!other || other.type !== node.type || other.tag !== node.tag)
+            return;
+
+        j ++;
+
+        if (node.type === 'element'){
+            other.classes.forEach(function(name){
+                if (node.classes.indexOf(name) === -1)
+                    node.classes.push(name);
+            });
+
+            for (var name in other.attributes){
+                var values = node.attributes[name] = node.attributes[name] || [];
+                if (values.indexOf(other.attributes[name][0]) === -1)
+                    values.push(other.attributes[name][0]);
+            }
+        }
+
+        if (node.children)
+            merge(node.children, other.children);
+    });
+}
+
+
+/**
+ * Calls callback for each element node in a tree.
+ */
+function walk(nodes, callback){
+    nodes.forEach(function(node){
+        if (node.type === 'element')
+            callback(node);
+
+        if (node.children)
+            walk(node.children, callback);
+    });
+}
+
+
+/**
+ * Returns the instance whose structure a module is described by : its first instance in a reference document, if it
+ * has one, else of the instances with the shape most instances have, the first with the most lines, so it has as many
+ * of the optional blocks as possible.
+ */
+function canonical(module, shapes, references){
+    var instances = Object.keys(module);
+
+    for (var i = 0 ; i < instances.length ; i ++)
+        if (references.indexOf(documentPath(instances[i])) !== -1)
+            return instances[i];
+
+    var counts = {},
+        best = instances[0];
+
+    instances.forEach(function(instance){
+        counts[shapes[instance]] = (counts[shapes[instance]] || 0) + 1;
+        if (counts[shapes[instance]] > counts[shapes[best]])
+            best = instance;
+    });
+
+    return instances.filter(function(instance){
+        return shapes[instance] === shapes[best];
+    }).reduce(function(longest, instance){
+        return module[instance].length > module[longest].length ? instance : longest;
+    });
+}
+
+
+/**
+ * Describes every module in modules, as a spec of the markup contract between a prototype and the pages built from
+ * it. The catalog schema is stable, and is versioned with its version field :
+ *
+ *   {
+ *     version : 1,
+ *     sources : [ string ],
+ *     modules : [
+ *       {
+ *         key : string,
+ *         name : string,
+ *         variant : string | null,
+ *         sources : [ string ],
+ *         instances : integer,
+ *         canonical : string,
+ *         matching : integer,
+ *         skipped : boolean,
+ *         classes : [ string ],
+ *         dataAttributes : [ string ],
+ *         slots : [ string ],
+ *         modules : [ string ],
+ *         structure : [ node ]
+ *       }
+ *     ]
+ *   }
+ *
+ * sources are the paths of the documents modules were found in, for the catalog and for each module. A module's
+ * structure is the element tree of its canonical instance (see parse() for nodes), an instance from a reference
+ * document if there is one, else one with the structure most instances have. The classes and attribute values of
+ * elements are those of every instance with the same structure, matching is the number of these instances, including
+ * the canonical one. classes and dataAttributes are every class and data-* attribute name in the structure, slots the
+ * paths of its inner text, and modules the keys of the modules nested in it. skipped is true for modules marked as
+ * expected mismatches, see options.moduleOptions. Modules are in key order.
+ *
+ * Only what is flattened is described, so options which leave out attributes or inner text (see options) leave them
+ * out of the catalog too.
+ *
+ * @param {object} modules Modules as returned by linesToModules. Required.
+ * @param {array} references Paths of reference documents. Optional.
+ * @param {object} skipped Modules skipped by options.moduleOptions, see moduleOptions.apply(). Optional.
+ * @return {object} Catalog as above.
+ */
+function build(modules, references, skipped){
+    var catalog = { version : version, sources : [], modules : [] };
+
+    references = references || [];
+    skipped = skipped || {};
+
+    Object.keys(modules).sort().forEach(function(key){
+        var instances = Object.keys(modules[key]),
+            shapes = {},
+            sources = [];
+
+        instances.forEach(function(instance){
+            shapes[instance] = shape(modules[key][instance]);
+
+            var path = documentPath(instance);
+            if (sources.indexOf(path) === -1)
+                sources.push(path);
+            if (catalog.sources.indexOf(path) === -1)
+                catalog.sources.push(path);
+        });
+
+        var main = canonical(modules[key], shapes, references),
+            matching = instances.filter(function(instance){ return shapes[instance] === shapes[main]; }),
+            slots = [],
+            nested = [],
+            structure = parse(modules[key][main], slots, nested),
+            classes = [],
+            dataAttributes = [];
+
+        // other instances add their classes and attribute values, their own slots and nested modules are the same
+        matching.forEach(function(instance){
+            if (instance !== main)
+                merge(structure, parse(modules[key][instance], [], []));
+        });
+
+        walk(structure, function(node){
+            node.classes.forEach(function(name){
+                if (classes.indexOf(name) === -1)
+                    classes.push(name);
+            });
+
+            Object.keys(node.attributes).forEach(function(name){
+                if (name.indexOf('data-') === 0 && dataAttributes.indexOf(name) === -1)
+                    dataAttributes.push(name);
+            });
+        });
+
+        catalog.modules.push({
+            key : key,
+            name : key.split(/\s+variant:/)[0],
+            variant : key.split(/\s+variant:/)[1] || null,
+            sources : sources,
+            instances : instances.length,
+            canonical : main,
+            matching : matching.length,
+            skipped : skipped.hasOwnProperty(key),
+            classes : classes.sort(),
+            dataAttributes : dataAttributes.sort(),
+            slots : slots,
+            modules : nested,
+            structure : structure
+        });
+    });
+
+    return catalog;
+}
+
+
+/**
+ * Returns the lines of a structure as indented text, one node per line.
+ */
+function outline(nodes, depth){
+    var lines = [],
+        indent = new Array(depth + 1).join('  ');
+
+    nodes.forEach(function(node){
+        if (node.type === 'text')
+            return lines.push(indent + '(text)');
+
+        if (node.type === 'module')
+            return lines.push(indent + '[module ' + node.module + ']');
+
+        if (node.type !== 'element')
+            lines.push(indent + '[' + node.type + ']');
+        else {
+            var details = [];
+
+            if (node.classes.length)
+                details.push('classes : ' + node.classes.join(', '));
+
+            Object.keys(node.attributes).forEach(function(name){
+                details.push(name + ' : ' + node.attributes[name].join(' | '));
+            });
+
+            lines.push(indent + node.tag + (details.length ? '  ' + details.join('; ') : ''));
+        }
+
+        lines = lines.concat(outline(node.children, depth + 1));
+    });
+
+    return lines;
+}
+
+
+/**
+ * Returns a short line of a module's sources and instances.
+ */
+function summary(module){
+    return module.instances + ' instance(s) in ' + module.sources.length + ' source(s), ' + module.matching +
+        ' with this structure (from ' + module.canonical + ').' + (module.skipped ? ' Skipped in comparisons.' : '');
+}
+
+
+/**
+ * Catalog formats, each a function (catalog) which returns a string.
+ */
+var formats = {
+    json : function(catalog){
+        return JSON.stringify(catalog, null, 2);
+    },
+
+    markdown : function(catalog){
+        var code = function(names){
+            return names.length ? names.map(function(name){ return '`' + name + '`'; }).join(', ') : 'none';
+        };
+
+        var out = [
+            '# Module catalog',
+            '',
+            catalog.modules.length + ' module(s) in ' + catalog.sources.length + ' source(s).'
+        ];
+
+        catalog.modules.forEach(function(module){
+            out.push(
+                '',
+                '## ' + module.key,
+                '',
+                summary(module),
+                '',
+                'Sources :',
+                ''
+            );
+
+            module.sources.forEach(function(source){
+                out.push('* ' + source);
+            });
+
+            out.push('', 'Structure :', '');
+            out = out.concat(outline(module.structure, 0).map(function(line){ return '    ' + line; }));
+
+            out.push(
+                '',
+                '* Classes : ' + code(module.classes),
+                '* Data attributes : ' + code(module.dataAttributes),
+                '* Text slots : ' + code(module.slots),
+                '* Nested modules : ' + code(module.modules)
+            );
+        });
+
+        return out.join('\n') + '\n';
+    },
+
+    html : function(catalog){
+        var list = function(names){
+            return names.length ? names.map(function(name){ return '<code>' + escape(name) + '</code>'; }).join(', ') : 'none';
+        };
+
+        var out = [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<title>Module catalog</title>',
+            '<style>',
+            'body { font-family: sans-serif; margin: 2em; color: #222; }',
+            'h1 { font-size: 1.4em; }',
+            'section { border: 1px solid #ddd; border-radius: 3px; margin-bottom: 1em; padding: 0 1em; }',
+            '.summary { font-size: .9em; color: #555; }',
+            'pre { background: #f4f4f4; padding: .5em; overflow-x: auto; }',
+            '</style>',
+            '</head>',
+            '<body>',
+            '<h1>Module catalog</h1>',
+            '<p class="summary">' + catalog.modules.length + ' module(s) in ' + catalog.sources.length + ' source(s).</p>'
+        ];
+
+        catalog.modules.forEach(function(module){
+            out.push(
+                '<section id="' + escape(module.key) + '">',
+                '<h2>' + escape(module.key) + '</h2>',
+                '<p class="summary">' + escape(summary(module)) + '</p>',
+                '<ul>' + module.sources.map(function(source){ return '<li>' + escape(source) + '</li>'; }).join('') + '</ul>',
+                '<pre>' + escape(outline(module.structure, 0).join('\n')) + '</pre>',
+                '<ul>',
+                '<li>Classes : ' + list(module.classes) + '</li>',
+                '<li>Data attributes : ' + list(module.dataAttributes) + '</li>',
+                '<li>Text slots : ' + list(module.slots) + '</li>',
+                '<li>Nested modules : ' + list(module.modules) + '</li>',
+                '</ul>',
+                '</section>'
+            );
+        });
+
+        out.push('</body>', '</html>');
+        return out.join('\n') + '\n';
+    }
+};
+
+
+/**
+ * Formats a catalog in options.catalogFormat, and writes it to options.reportFile, or to console if no file is set
+ * and options.consoleOut is true.
+ *
+ * @param {object} catalog Catalog as returned by build(). Required.
+ * @param {object} options Resolved MarkupDiff options. Required.
+ * @return {string} Formatted catalog.
+ * @throws {object} Error object (code 26) if the format is unknown.
+ */
+function write(catalog, options){
+    if (!formats.hasOwnProperty(options.catalogFormat))
+        throw { description : 'Unknown catalog format "' + options.catalogFormat + '"', code : 26 };
+
+    var output = formats[options.catalogFormat](catalog);
+
+    if (options.reportFile)
+        fs.writeFileSync(options.reportFile, output, { encoding : options.encoding });
+    else if (options.consoleOut)
+        console.log(output);
+
+    return output;
+}
+
+
+/**
+ * Loads sources and builds the catalog of their modules, see build(). Modules are extracted as compare() does, with
+ * options.moduleOptions applied, but are not compared.
+ *
+ * @param {array} sources Array of sources, see loadSource. Required.
+ * @param {object} options Resolved MarkupDiff options. Required.
+ * @return {Promise} Resolves with the catalog. Rejects with an error object if a source can't be loaded, or module
+ * markup is broken.
+ */
+module.exports = function(sources, options){
+    return documents.load(sources, options).then(function(loaded){
+        var extracted = linesToModules.extract(loaded.documents, options),
+            overridden = moduleOptions.apply(extracted, options);
+
+        return build(extracted.modules, loaded.references, overridden.skipped);
+    });
+};
+
+
+module.exports.build = build;
+module.exports.formats = formats;
+module.exports.write = write;
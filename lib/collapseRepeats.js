@@ -0,0 +1,164 @@
+'use strict';
+
+var resolveOptions = require('./options').resolve,
+    tagLine = require('./tagLine');
+
+
+/**
+ * Returns true if line is the start tag of an element, see tagLine.parse. Comments, inner text and module placeholders
+ * are single lines with no children.
+ */
+function isStartTag(line){
+    return tagLine.parse(line) !== null;
+}
+
+
+/**
+ * Returns true if line is an end tag.
+ */
+function isEndTag(line){
+    return /^<\/[^>]+>$/.test(line);
+}
+
+
+/**
+ * Parses flattened lines into a tree of { line : string, position : object, children : [ node ], end : string,
+ * endPosition : object }, where positions are the entries of positions for the lines. Leaf lines have no end.
+ * repeatFrom is set on a node if a repeat marker was found among its children, it is the index of the first child
+ * after the marker. The marker itself is dropped.
+ */
+function parse(lines, positions, options){
+    var root = { children : [] },
+        stack = [ root ];
+
+    for (var i = 0 ; i < lines.length ; i ++){
+        var line = lines[i],
+            parent = stack[stack.length - 1];
+
+        if (options.repeatRegex.exec(line)){
+            parent.repeatFrom = parent.children.length;
+            continue;
+        }
+
+        // an end tag with nothing open belongs to markup outside the lines, keep it as is
+        if (isEndTag(line) && stack.length > 1){
+            parent.end = line;
+            parent.endPosition = positions[i];
+            stack.pop();
+            continue;
+        }
+
+        var node = { line : line, position : positions[i], children : [] };
+        parent.children.push(node);
+
+        if (isStartTag(line))
+            stack.push(node);
+    }
+
+    return root;
+}
+
+
+/**
+ * Writes node and its children back to lines, and their positions to positions if set.
+ */
+function serialize(node, outArray, positions){
+    if (node.line !== undefined){
+        outArray.push(node.line);
+        if (positions)
+            positions.push(node.position);
+    }
+
+    for (var i = 0 ; i < node.children.length ; i ++)
+        serialize(node.children[i], outArray, positions);
+
+    if (node.end){
+        outArray.push(node.end);
+        if (positions)
+            positions.push(node.endPosition);
+    }
+
+    return outArray;
+}
+
+
+/**
+ * Collapses runs of identical sibling elements in node's children, innermost first so that items which differ only
+ * in the length of their own lists are identical. Each run is replaced by its first item, wrapped in <repeat> and
+ * </repeat> lines. Children after a repeat marker are always wrapped, even if a run has only one item. Other runs are
+ * collapsed only if global is set and they have more than one item.
+ */
+function collapse(node, global){
+    for (var i = 0 ; i < node.children.length ; i ++)
+        collapse(node.children[i], global);
+
+    var repeatFrom = node.repeatFrom === undefined ? node.children.length : node.repeatFrom,
+        children = [];
+
+    for (var i = 0 ; i < node.children.length ; ){
+        var child = node.children[i],
+            text = serialize(child, []).join('\n'),
+            end = i + 1;
+
+        if (!child.end){
+            children.push(child);
+            i ++;
+            continue;
+        }
+
+        // runs don't cross the marker, items before it are not part of the repeated list
+        while (end < node.children.length && node.children[end].end && (end < repeatFrom) === (i < repeatFrom) &&
+            serialize(node.children[end], []).join('\n') === text)
+            end ++;
+
+        if (i >= repeatFrom || (global && end - i > 1))
+            children.push({
+                line : '<repeat>',
+                position : child.position,
+                children : [ child ],
+                end : '</repeat>',
+                endPosition : child.endPosition
+            });
+        else
+            children = children.concat(node.children.slice(i, end));
+
+        i = end;
+    }
+
+    node.children = children;
+}
+
+
+/**
+ * Collapses repeated sibling elements in the lines of a module instance, so that lists of different lengths compare
+ * equal. Each run of structurally identical siblings is replaced by a single item between <repeat> and </repeat>
+ * lines. If the repeated item differs between sources, the difference is reported inside the repeat block.
+ *
+ * Runs are collapsed after a repeat marker (options.repeatRegex) up to the end of its parent element, and everywhere
+ * if options.collapseRepeats is set. Repeat markers are removed from the lines.
+ *
+ * Returns { lines : [ string ], positions : array }, where positions are the entries of positions for the lines
+ * returned. The repeat lines around an item get the positions of the item's first and last lines.
+ *
+ * @param {array} lines Lines of a module instance. Required.
+ * @param {object} options MarkupDiff options. Optional.
+ * @param {array} positions Positions of lines, see nodeToLine.flatten. Optional.
+ * @return {object}
+ */
+module.exports = function(lines, options, positions){
+    options = resolveOptions(options);
+    positions = positions || [];
+
+    var marked = lines.some(function(line){
+        return options.repeatRegex.exec(line);
+    });
+
+    if (!options.collapseRepeats && !marked)
+        return { lines : lines, positions : positions };
+
+    var root = parse(lines, positions, options),
+        collapsedPositions = [];
+
+    collapse(root, options.collapseRepeats);
+    return { lines : serialize(root, [], collapsedPositions), positions : collapsedPositions };
+};
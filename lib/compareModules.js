@@ -0,0 +1,141 @@
+'use strict';
+
+var diffOptional = require('./optional').diff;
+
+
+/**
+ * Compares modules for differences. If references are given, every instance of a module is compared against the
+ * module's instance from the first reference path it was found in. Otherwise every instance is compared against every
+ * other instance, once per pair. Returns an object with warnings and errors, formatted as follows :
+ *
+ *   {
+ *
+ *     errors : {
+ *       module : {
+ *         comparedPath : [
+ *           {
+ *             type : 'added' | 'removed' | 'changed',
+ *             source : { path : text, line : integer, src : [ text ] },
+ *             test : { path : text, line : integer, src : [ text ] }
+ *           }
+ *         ]
+ *       }
+ *     }
+ *
+ *     warnings : {
+ *
+ *       module : {
+ *         description : string,
+ *         source: string
+ *       }
+ *
+ *       someOtherModule : ...
+ *     }
+ *
+ *     comparisons : [
+ *       { module : text, source : text, test : text }
+ *     ]
+ *   }
+ *
+ * Errors are keyed by module, then by the path of the instance that was compared (test). Source is the reference
+ * instance, or the other instance of the pair. Each error is a hunk of lines which differ between two instances of a
+ * module. Line is the 1-based position of
+ * the hunk in each instance's flattened lines. For an "added" hunk source.src is empty and source.line is the
+ * position the lines were inserted at, for a "removed" hunk the same applies to test. Comparisons lists every pair of
+ * instances that was compared, whether or not they differ.
+ *
+ * @param {object} modules Modules as returned by linesToModules. Required.
+ * @param {array} references Paths of reference documents. Optional.
+ * @return {object} Results as above.
+ */
+module.exports = function(modules, references){
+    var results = {
+        errors : {},
+        warnings : {},
+        comparisons : []
+    };
+
+    references = references || [];
+
+    for (var module in modules){
+        var instances = Object.keys(modules[module]);
+
+        // check if only instance of a module was detected, then warn
+        if (instances.length === 1){
+            results.warnings[module] = {
+                description : 'Only only one instance of module "' + module + '" detected, unable to test.',
+                path : instances[0]
+            };
+            continue;
+        }
+
+        if (references.length){
+            var reference = null;
+
+            for (var i = 0 ; i < references.length && !reference ; i ++)
+                if (modules[module].hasOwnProperty(references[i]))
+                    reference = references[i];
+
+            if (!reference){
+                results.warnings[module] = {
+                    description : 'Module "' + module + '" not found in reference source, unable to test.',
+                    path : instances[0]
+                };
+                continue;
+            }
+
+            for (var i = 0 ; i < instances.length ; i ++)
+                if (instances[i] !== reference)
+                    comparePair(results, module, reference, modules[module][reference], instances[i], modules[module][instances[i]]);
+
+            continue;
+        }
+
+        // no reference, compare each pair of instances once
+        for (var i = 0 ; i < instances.length ; i ++)
+            for (var j = i + 1 ; j < instances.length ; j ++)
+                comparePair(results, module, instances[i], modules[module][instances[i]], instances[j], modules[module][instances[j]]);
+    }
+
+    return results;
+};
+
+
+/**
+ * Compares two instances of a module, and adds the comparison and any differences to results. Optional blocks which
+ * are present in only one of the instances are not differences.
+ *
+ * @param {object} results Results object, as returned by compareModules. Required.
+ * @param {string} module Module name. Required.
+ * @param {string} source Path of the first instance. Required.
+ * @param {array} sourceLines Flattened lines of the first instance. Required.
+ * @param {string} test Path of the second instance. Required.
+ * @param {array} testLines Flattened lines of the second instance. Required.
+ */
+function comparePair(results, module, source, sourceLines, test, testLines){
+    var hunks = diffOptional(sourceLines, testLines);
+
+    results.comparisons.push({ module : module, source : source, test : test });
+
+    for (var i = 0 ; i < hunks.length ; i ++){
+        var hunk = hunks[i];
+
+        results.errors[module] = results.errors[module] || {};
+        results.errors[module][test] = results.errors[module][test] || [];
+        results.errors[module][test].push({
+            type : hunk.type,
+            source : {
+                path : source,
+                line : hunk.sourceIndex + 1,
+                src : hunk.sourceLines
+            },
+            test : {
+                path : test,
+                line : hunk.testIndex + 1,
+                src : hunk.testLines
+            }
+        });
+    }
+}
+
+module.exports.comparePair = comparePair;
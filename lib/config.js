@@ -0,0 +1,261 @@
+'use strict';
+
+var path = require('path'),
+    fs = require('fs'),
+    _ = require('lodash'),
+    parseUrl = require('./fetch').parseUrl,
+    defaults = require('./options').defaults,
+    resolveOptions = require('./options').resolve,
+    moduleOptions = require('./moduleOptions');
+
+
+/**
+ * Config file names, in the order they are looked for in each directory.
+ */
+var names = ['markupdiff.config.js', '.markupdiffrc'];
+
+
+/**
+ * Types an option accepts besides the type of its default.
+ */
+var extraTypes = {
+    cache : ['string'],
+    baseline : ['string'],
+    reportFile : ['string'],
+    reporter : ['function'],
+    renderReady : ['string', 'function'],
+    similarityThreshold : ['null'],
+    moduleClassRegex : ['regexp']
+};
+
+
+/**
+ * Options holding paths, which are resolved relative to the config file.
+ */
+var pathOptions = ['cache', 'baseline', 'reportFile'];
+
+
+/**
+ * Types per-module overrides accept, see options.moduleOptions.
+ */
+var moduleOptionTypes = {
+    skip : 'boolean',
+    attributes : 'array',
+    excludeAttributes : 'array',
+    processInnerText : 'boolean',
+    sortAttributes : 'boolean',
+    collapseRepeats : 'boolean'
+};
+
+
+/**
+ * Returns the type name of value : 'null', 'array', 'regexp', or its typeof.
+ */
+function typeOf(value){
+    return value === null ? 'null' : Array.isArray(value) ? 'array' : value instanceof RegExp ? 'regexp' : typeof value;
+}
+
+
+/**
+ * Returns an error object (code 20) for the config file.
+ */
+function invalid(file, message, inner){
+    var err = { description : 'Invalid config file ' + file + ' : ' + message, code : 20, file : file };
+
+    if (inner)
+        err.inner = inner;
+
+    return err;
+}
+
+
+/**
+ * Resolves a relative path in the config file against the config file's directory. Paths are kept relative to the
+ * current directory, so they are reported as they would be if passed on the command line.
+ */
+function resolvePath(dir, value){
+    return path.isAbsolute(value) ? value : path.relative(process.cwd(), path.resolve(dir, value)) || '.';
+}
+
+
+/**
+ * Validates sources, and converts them to source objects. Strings are urls or globs, as on the command line.
+ */
+function readSources(file, sources){
+    var dir = path.dirname(file);
+
+    if (!Array.isArray(sources))
+        throw invalid(file, 'sources must be an array.');
+
+    return sources.map(function(source, index){
+        if (typeof source === 'string')
+            source = parseUrl(source) || { glob : source };
+        else if (typeOf(source) === 'object')
+            source = _.clone(source);
+        else
+            throw invalid(file, 'sources[' + index + '] must be a string or an object.');
+
+        // a git source's glob is relative to the repository root
+        if (source.glob && !source.git && !source.host && !source.crawl)
+            source.glob = resolvePath(dir, source.glob);
+
+        if (source.git && source.repo)
+            source.repo = resolvePath(dir, source.repo);
+
+        return source;
+    });
+}
+
+
+/**
+ * Validates options against defaults, converts regex strings to RegExps and resolves paths.
+ */
+function readOptions(file, options){
+    var dir = path.dirname(file),
+        result = {};
+
+    if (typeOf(options) !== 'object')
+        throw invalid(file, 'options must be an object.');
+
+    for (var key in options){
+        if (!defaults.hasOwnProperty(key))
+            throw invalid(file, 'unknown option "' + key + '".');
+
+        var value = options[key],
+            expected = [typeOf(defaults[key])].concat(extraTypes[key] || []);
+
+        if (expected.indexOf('regexp') !== -1 && typeof value === 'string'){
+            try {
+                value = new RegExp(value);
+            } catch (ex){
+                throw invalid(file, 'option "' + key + '" is not a valid regex : ' + ex.message);
+            }
+        }
+
+        if (expected.indexOf(typeOf(value)) === -1)
+            throw invalid(file, 'option "' + key + '" must be ' + expected.join(' or ') + ', not ' + typeOf(value) + '.');
+
+        if (key === 'moduleOptions')
+            readModules(file, value);
+
+        if (pathOptions.indexOf(key) !== -1 && typeof value === 'string')
+            value = resolvePath(dir, value);
+
+        result[key] = value;
+    }
+
+    return result;
+}
+
+
+/**
+ * Validates per-module overrides.
+ */
+function readModules(file, modules){
+    if (typeOf(modules) !== 'object')
+        throw invalid(file, 'modules must be an object of module name or glob : overrides.');
+
+    for (var pattern in modules){
+        if (typeOf(modules[pattern]) !== 'object')
+            throw invalid(file, 'modules["' + pattern + '"] must be an object.');
+
+        for (var key in modules[pattern]){
+            if (moduleOptions.keys.indexOf(key) === -1)
+                throw invalid(file, 'unknown module option "' + key + '" for "' + pattern + '", expected one of ' + moduleOptions.keys.join(', ') + '.');
+
+            if (typeOf(modules[pattern][key]) !== moduleOptionTypes[key])
+                throw invalid(file, 'module option "' + key + '" for "' + pattern + '" must be ' + moduleOptionTypes[key] + '.');
+        }
+    }
+
+    return modules;
+}
+
+
+/**
+ * Looks for a config file in dir and its parent directories. markupdiff.config.js is looked for before .markupdiffrc
+ * in each directory. Returns the path of the first found, or null.
+ *
+ * @param {string} dir Directory to start in. Optional, defaults to the current directory.
+ * @return {string}
+ */
+module.exports.find = function(dir){
+    dir = path.resolve(dir || process.cwd());
+
+    while (true){
+        for (var i = 0 ; i < names.length ; i ++)
+            if (fs.existsSync(path.join(dir, names[i])))
+                return path.join(dir, names[i]);
+
+        var parent = path.dirname(dir);
+        if (parent === dir)
+            return null;
+
+        dir = parent;
+    }
+};
+
+
+/**
+ * Reads and validates a config file. .markupdiffrc is JSON, markupdiff.config.js (or any .js file) is a module which
+ * exports the config object. A config has these properties, all optional :
+ *
+ *      {
+ *          sources : [ 'prototype/**\/*.html', { crawl : 'http://cms.local/' } ],
+ *          options : { attributes : [ 'class' ], reporter : 'junit' },
+ *          modules : {
+ *              'legacy-*' : { skip : true },
+ *              'card' : { processInnerText : false }
+ *          }
+ *      }
+ *
+ * sources are source objects (see loadSource), or strings, which are urls or globs as on the command line. options
+ * are compare() options, regex options can be strings. modules are per-module overrides, see options.moduleOptions.
+ * Relative globs and paths (cache, baseline, reportFile) are relative to the config file.
+ *
+ * Returns { file : string, sources : array, options : object }, where options has modules set as moduleOptions.
+ *
+ * @param {string} file Path of config file. Required.
+ * @return {object}
+ * @throws {object} Error object (code 20) if the file can't be read or is invalid.
+ */
+module.exports.load = function(file){
+    var config;
+
+    file = path.resolve(file);
+
+    try {
+        config = path.extname(file) === '.js' ?
+            require(file) :
+            JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (ex){
+        throw invalid(file, ex.message, ex);
+    }
+
+    if (typeOf(config) !== 'object')
+        throw invalid(file, 'expected an object.');
+
+    for (var key in config)
+        if (['sources', 'options', 'modules'].indexOf(key) === -1)
+            throw invalid(file, 'unknown property "' + key + '", expected sources, options or modules.');
+
+    var result = {
+        file : file,
+        sources : config.sources === undefined ? [] : readSources(file, config.sources),
+        options : config.options === undefined ? {} : readOptions(file, config.options)
+    };
+
+    if (config.modules !== undefined)
+        result.options.moduleOptions = readModules(file, config.modules);
+
+    // overrides can only leave out more than the config's options, see moduleOptions.widens()
+    var resolved = resolveOptions(result.options);
+    for (var pattern in resolved.moduleOptions){
+        var widened = moduleOptions.widens(resolved.moduleOptions[pattern], resolved);
+        if (widened)
+            throw invalid(file, 'module option for "' + pattern + '" ' + widened + '. Overrides can leave out more than ' +
+                'options, but can\'t bring back what options leave out.');
+    }
+
+    return result;
+};
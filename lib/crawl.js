@@ -0,0 +1,225 @@
+'use strict';
+
+var url = require('url'),
+    _ = require('lodash'),
+    jsdom = require('jsdom-no-contextify').jsdom,
+    fetch = require('./fetch'),
+    fetchDocument = require('./fetchDocument'),
+    cache = require('./cache'),
+    parallel = require('./parallel'),
+    patterns = require('./patterns'),
+    resolveOptions = require('./options').resolve;
+
+
+/**
+ * Returns true if the url of page is in the same origin as start url.
+ */
+function sameOrigin(a, b){
+    return a.protocol === b.protocol && a.hostname === b.hostname && (a.port || '') === (b.port || '');
+}
+
+
+/**
+ * Returns the urls listed in a sitemap or sitemap index.
+ */
+function sitemapUrls(content){
+    var urls = [],
+        regex = /<loc>\s*([^<]+?)\s*<\/loc>/g,
+        match;
+
+    while ((match = regex.exec(content)) !== null)
+        urls.push(match[1].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\''));
+
+    return urls;
+}
+
+
+/**
+ * Returns the href of every link in an html document, resolved against the document's url and without fragment.
+ */
+function pageLinks(content, pageUrl){
+    var links = jsdom(content).querySelectorAll('a[href]'),
+        urls = [];
+
+    for (var i = 0 ; i < links.length ; i ++){
+        var href = url.resolve(pageUrl, links[i].getAttribute('href')).split('#')[0];
+        if (href)
+            urls.push(href);
+    }
+
+    return urls;
+}
+
+
+/**
+ * Crawls a site for html documents, starting at a page or a sitemap. Only pages in the same origin as the start url are
+ * fetched.
+ *
+ * source is an object :
+ *
+ * {
+ *      crawl : 'http://www.domain.com/',   // start url. Required.
+ *      sitemap : false,                    // if true, or crawl url ends with .xml, start url is a sitemap, and every
+ *                                          // page in it is a start page. Sitemap indexes are followed.
+ *      depth : 2,                          // number of links to follow away from start pages.
+ *      limit : 100,                        // maximum number of pages fetched.
+ *      include : [ regex ],                // if set, only urls matching one of these are fetched.
+ *      exclude : [ regex ],                // urls matching one of these are not fetched.
+ *      headers, cookies, auth              // sent with every request, see loadSource.
+ * }
+ *
+ * include and exclude are RegExps or regex strings, and are tested against the full url. They do not apply to the
+ * crawl url itself. Pages which fail to load, or which are not html, are skipped with a warning. The start page failing
+ * is an error.
+ *
+ * Pages are crawled one depth at a time, each depth fetched concurrently, up to options.concurrency pages at a time,
+ * and documents are kept in the order pages were found so results are stable. Pages are fetched as url sources are
+ * (see fetchDocument) : with options.cache set, a page with an unchanged ETag is not downloaded again, and the links
+ * it had are taken from cache.
+ *
+ * @param {object} source Crawl source as above. Required.
+ * @param {object} options MarkupDiff options, encoding, timeout, maxRedirects, concurrency and cache are used.
+ * Optional.
+ * @return {Promise} Resolves with an array of documents, as loadSource. Rejects with an error object, code 15 if
+ * crawl url is not an http(s) url, or any fetch error code for the start page.
+ */
+module.exports = function(source, options){
+
+    options = resolveOptions(options);
+
+    var start = fetch.parseUrl(source.crawl || ''),
+        depth = source.depth === undefined ? 2 : source.depth,
+        limit = source.limit === undefined ? 100 : source.limit,
+        include = (source.include || []).map(patterns.toRegex),
+        exclude = (source.exclude || []).map(patterns.toRegex),
+        requestOptions = _.pick(source, ['headers', 'cookies', 'auth']);
+
+    if (!start)
+        return Promise.reject({ description : 'Crawl source must be an http(s) url : ' + source.crawl, code : 15 });
+
+    var origin = url.parse(source.crawl),
+        isSitemap = source.sitemap || /\.xml$/i.test(origin.pathname || ''),
+        queue = [],
+        queued = {},
+        documents = [],
+        fetched = 0,
+        documentCache = options.cache ? cache.open(options.cache) : null;
+
+
+    /**
+     * Adds url to queue if it hasn't been seen yet, and passes filters.
+     */
+    function enqueue(pageUrl, pageDepth, filter, required){
+        var parsed = url.parse(pageUrl);
+
+        if (queued[pageUrl] || !sameOrigin(parsed, origin))
+            return;
+
+        if (filter){
+            if (include.length && !include.some(function(regex){ return regex.test(pageUrl); }))
+                return;
+
+            if (exclude.some(function(regex){ return regex.test(pageUrl); }))
+                return;
+        }
+
+        queued[pageUrl] = true;
+        queue.push({ url : pageUrl, depth : pageDepth, required : !!required });
+    }
+
+
+    /**
+     * Returns the url source for url, with the crawl source's headers, cookies and auth.
+     */
+    function request(pageUrl){
+        return _.merge(fetch.parseUrl(pageUrl), requestOptions);
+    }
+
+
+    /**
+     * Fetches a queued page. Resolves with { document : object, links : [ string ] }, or null if the page is skipped.
+     * Links are only needed, and only looked for, if the page isn't at the crawl's depth.
+     */
+    function fetchPage(page){
+        var withLinks = page.depth < depth;
+
+        return fetchDocument(request(page.url), options, documentCache, withLinks).then(function(fetched){
+            var document = fetched.document,
+                type = fetched.headers['content-type'] || 'text/html';
+
+            document.reference = !!source.reference;
+
+            // a page not modified since it was cached was html then, its content-type isn't sent again
+            if (document.content !== null && type.indexOf('html') === -1){
+                console.warn('Skipping ' + page.url + ', not html (' + type + ').');
+                return null;
+            }
+
+            if (withLinks && document.content !== null)
+                document.links = pageLinks(document.content, document.url);
+
+            return { document : document, links : withLinks ? document.links : [] };
+        }, function(err){
+            if (page.required)
+                throw err;
+
+            console.warn('Skipping ' + page.url + ', ' + err.description);
+            return null;
+        });
+    }
+
+
+    /**
+     * Fetches the pages in queue, all at the same depth, and queues their links. Resolves when queue is empty or limit
+     * is reached.
+     */
+    function next(){
+        if (!queue.length || fetched >= limit)
+            return Promise.resolve(documents);
+
+        var pages = queue.splice(0, limit - fetched);
+        fetched += pages.length;
+
+        return parallel(pages, options.concurrency, fetchPage).then(function(results){
+            results.forEach(function(result, index){
+                if (!result)
+                    return;
+
+                documents.push(result.document);
+                result.links.forEach(function(link){
+                    enqueue(link, pages[index].depth + 1, true);
+                });
+            });
+
+            return next();
+        });
+    }
+
+    // start page must load, otherwise crawl fails
+    if (!isSitemap){
+        enqueue(source.crawl, 0, false, true);
+        return next();
+    }
+
+    // sitemap pages are start pages. Sitemap indexes link to further sitemaps
+    function readSitemap(sitemapUrl){
+        queued[sitemapUrl] = true;
+
+        return fetch(request(sitemapUrl), options).then(function(response){
+            var sitemaps = [];
+
+            sitemapUrls(response.content).forEach(function(pageUrl){
+                if (!/\.xml$/i.test(url.parse(pageUrl).pathname || ''))
+                    enqueue(pageUrl, 0, true);
+                else if (!queued[pageUrl] && sameOrigin(url.parse(pageUrl), origin))
+                    sitemaps.push(pageUrl);
+            });
+
+            return sitemaps.reduce(function(promise, sitemap){
+                return promise.then(function(){ return readSitemap(sitemap); });
+            }, Promise.resolve());
+        });
+    }
+
+    return readSitemap(source.crawl).then(next);
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+
+/**
+ * Aligns two arrays of flattened lines with a Myers diff, and groups the lines which could not be aligned into
+ * hunks. Returns an array of hunks :
+ *
+ *      {
+ *          type : 'added' | 'removed' | 'changed',
+ *          sourceIndex : integer,
+ *          sourceLines : [ string ],
+ *          testIndex : integer,
+ *          testLines : [ string ]
+ *      }
+ *
+ * Indexes are 0-based positions in sourceLines/testLines where the hunk starts. Identical arrays return an empty
+ * array.
+ */
+module.exports.diffLines = function(sourceLines, testLines){
+    var n = sourceLines.length,
+        m = testLines.length,
+        offset = n + m + 1,
+        v = new Int32Array(2 * offset + 1),
+        trace = [],
+        found = false;
+
+    // find shortest edit path, keeping each round's furthest-reaching x positions for backtracking. v is indexed by
+    // diagonal, k + offset. Backtracking round d only reads diagonals -d - 1 to d + 1, so only these are kept
+    for (var d = 0 ; d <= n + m && !found ; d ++){
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (var k = -d ; k <= d ; k += 2){
+            var down = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]),
+                x = down ? v[offset + k + 1] : v[offset + k - 1] + 1,
+                y = x - k;
+
+            // follow diagonal for as long as lines are identical
+            while (x < n && y < m && sourceLines[x] === testLines[y]){
+                x ++;
+                y ++;
+            }
+
+            v[offset + k] = x;
+
+            if (x >= n && y >= m){
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // backtrack from end of both arrays to build edit script. Ops are '=' (same), '-' (source only) and '+' (test
+    // only)
+    var ops = [],
+        x = n,
+        y = m;
+
+    for (var d = trace.length - 1 ; d >= 0 ; d --){
+        // trace[d] starts at diagonal -d - 1
+        var v = trace[d],
+            k = x - y,
+            prevK = k === -d || (k !== d && v[k + d] < v[k + d + 2]) ? k + 1 : k - 1,
+            prevX = v[prevK + d + 1],
+            prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY){
+            x --;
+            y --;
+            ops.unshift({ type : '=', sourceIndex : x, testIndex : y });
+        }
+
+        if (d > 0){
+            if (x === prevX){
+                y --;
+                ops.unshift({ type : '+', sourceIndex : x, testIndex : y });
+            } else {
+                x --;
+                ops.unshift({ type : '-', sourceIndex : x, testIndex : y });
+            }
+        }
+
+        x = prevX;
+        y = prevY;
+    }
+
+    // group consecutive non-identical ops into hunks
+    var hunks = [],
+        hunk = null;
+
+    for (var i = 0 ; i < ops.length ; i ++){
+        var op = ops[i];
+
+        if (op.type === '='){
+            hunk = null;
+            continue;
+        }
+
+        if (!hunk){
+            hunk = {
+                type : null,
+                sourceIndex : op.sourceIndex,
+                sourceLines : [],
+                testIndex : op.testIndex,
+                testLines : []
+            };
+            hunks.push(hunk);
+        }
+
+        if (op.type === '-')
+            hunk.sourceLines.push(sourceLines[op.sourceIndex]);
+        else
+            hunk.testLines.push(testLines[op.testIndex]);
+    }
+
+    for (var i = 0 ; i < hunks.length ; i ++){
+        var hunk = hunks[i];
+        if (!hunk.sourceLines.length)
+            hunk.type = 'added';
+        else if (!hunk.testLines.length)
+            hunk.type = 'removed';
+        else
+            hunk.type = 'changed';
+    }
+
+    return hunks;
+};
+
@@ -0,0 +1,102 @@
+'use strict';
+
+var _ = require('lodash'),
+    loadSource = require('./loadSource'),
+    nodeToLine = require('./nodeToLine'),
+    render = require('./render'),
+    parallel = require('./parallel'),
+    cache = require('./cache');
+
+
+/**
+ * Flattens a document's content to { lines : [ string ], positions : array }. If documentCache is set, lines are
+ * looked up by content hash first, and are written to cache under the content hash and the document's cacheKeys (see
+ * loadSource), with the links of crawled pages. If dom is set (see render.js), it is flattened instead of the content,
+ * and is not cached.
+ *
+ * @param {object} document Document as returned by loadSource, with content set. Required.
+ * @param {object} documentCache Cache as returned by cache.open(). Optional.
+ * @param {object} options Resolved MarkupDiff options. Required.
+ * @param {object} dom Rendered DOM document of the content. Optional.
+ * @return {object}
+ * @throws {object} Error object (code 18) if options.moduleDelimiter is invalid.
+ */
+function flatten(document, documentCache, options, dom){
+    if (dom){
+        var positions = [];
+        return { lines : nodeToLine.flatten(document.content, options, positions, dom), positions : positions };
+    }
+
+    var contentKey = documentCache ? cache.key('content', cache.hash(document.content), options) : null,
+        cached = documentCache ? documentCache.get(contentKey) : null,
+        positions = cached ? cached.positions : [],
+        lines = cached ? cached.lines : nodeToLine.flatten(document.content, options, positions);
+
+    if (!documentCache)
+        return { lines : lines, positions : positions };
+
+    var keys = (document.cacheKeys || []).concat(cached ? [] : [contentKey]);
+    for (var i = 0 ; i < keys.length ; i ++)
+        documentCache.set(keys[i], {
+            lines : lines,
+            positions : positions,
+            etag : document.etag,
+            links : document.links
+        });
+
+    return { lines : lines, positions : positions };
+}
+
+
+/**
+ * Loads sources and flattens their documents. Sources are loaded concurrently, up to options.concurrency at a time,
+ * and documents are kept in source order so results are stable. Documents already flattened from cache are used as
+ * is. If options.render is set, documents are rendered before they are flattened, and the cache is not used, as a
+ * rendered page depends on its scripts as well as its markup.
+ *
+ * @param {array} sources Source objects, see loadSource. Required.
+ * @param {object} options Resolved MarkupDiff options. Required.
+ * @return {Promise} Resolves with { documents : [ { lines : [ string ], positions : array, path : string, url : string,
+ * reference : boolean } ], references : [ string ] }, where references are the paths of documents from reference
+ * sources. Rejects with an error object, see loadSource.
+ */
+function load(sources, options){
+    var documents;
+
+    if (options.render)
+        options = _.assign({}, options, { cache : null });
+
+    return parallel(sources, options.concurrency, function(source){
+        return loadSource(source, options);
+    }).then(function(loaded){
+        documents = [].concat.apply([], loaded);
+
+        return options.render ? parallel(documents, options.concurrency, function(document){
+            return render(document, options);
+        }) : [];
+    }).then(function(rendered){
+        var documentCache = options.cache ? cache.open(options.cache) : null;
+
+        // Each source is a raw HTML file (string). Each file needs to converted into an array of "line objects".
+        return {
+            documents : documents.map(function(document, index){
+                var flattened = document.lines ?
+                    { lines : document.lines, positions : document.positions } :
+                    flatten(document, documentCache, options, rendered[index]);
+
+                return {
+                    lines : flattened.lines,
+                    positions : flattened.positions,
+                    path : document.path,
+                    url : document.url,
+                    reference : !!document.reference
+                };
+            }),
+            references : documents.filter(function(document){ return document.reference; }).map(function(document){ return document.path; })
+        };
+    });
+}
+
+
+module.exports.flatten = flatten;
+module.exports.load = load;
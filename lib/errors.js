@@ -0,0 +1,24 @@
+'use strict';
+
+
+/**
+ * Returns an Error with description and code set, see the error codes in index.js. The error's message is its
+ * description, so it prints like any other Error, and has a stack to find where it was raised. properties are copied
+ * onto the error, eg { file : string, line : integer }.
+ *
+ * @param {string} description Error description. Required.
+ * @param {number} code Error code. Required.
+ * @param {object} properties Additional properties. Optional.
+ * @return {Error}
+ */
+module.exports.create = function(description, code, properties){
+    var error = new Error(description);
+
+    error.description = description;
+    error.code = code;
+
+    for (var key in properties || {})
+        error[key] = properties[key];
+
+    return error;
+};
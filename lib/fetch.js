@@ -0,0 +1,156 @@
+'use strict';
+
+var http = require('http'),
+    https = require('https'),
+    url = require('url'),
+    _ = require('lodash'),
+    resolveOptions = require('./options').resolve;
+
+
+/**
+ * Converts an http(s) url string to a source object. Returns null if text is not an http(s) url.
+ *
+ * @param {string} text Url. Required.
+ * @return {object} { host : string, port : integer, path : string, https : boolean, auth : string }
+ */
+function parseUrl(text){
+    var parsed = url.parse(text);
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')
+        return null;
+
+    var source = {
+        host : parsed.hostname,
+        port : parsed.port ? parseInt(parsed.port, 10) : (parsed.protocol === 'https:' ? 443 : 80),
+        path : parsed.path || '/',
+        https : parsed.protocol === 'https:'
+    };
+
+    if (parsed.auth)
+        source.auth = parsed.auth;
+
+    return source;
+}
+
+
+/**
+ * Returns the url of an http source object.
+ */
+function toUrl(source){
+    return (source.https ? 'https' : 'http') + '://' + source.host + ':' + source.port + source.path;
+}
+
+
+/**
+ * Builds node http.request options from a source object. Cookies (an object of name : value, or a string) are added as
+ * a Cookie header.
+ */
+function requestOptions(source){
+    var request = _.omit(source, ['cookies', 'reference', 'https']);
+
+    request.headers = _.merge({}, source.headers || {});
+    request.method = request.method || 'GET';
+
+    if (source.cookies)
+        request.headers.Cookie = typeof source.cookies === 'string' ? source.cookies :
+            Object.keys(source.cookies).map(function(name){
+                return name + '=' + encodeURIComponent(source.cookies[name]);
+            }).join('; ');
+
+    return request;
+}
+
+
+/**
+ * Fetches a document over http or https. Redirects are followed up to options.maxRedirects. Headers, cookies and auth
+ * are kept if the redirect is to the same origin (protocol, host and port), and dropped otherwise.
+ *
+ * @param {object} source http.request options object, with port and path set. https : true uses https, cookies adds
+ * a Cookie header. Required.
+ * @param {object} options MarkupDiff options, encoding, timeout and maxRedirects are used. Optional.
+ * @return {Promise} Resolves with { content : string, url : string, statusCode : integer, headers : object }, where url
+ * is the url the content was finally fetched from. A 304 response (to a conditional request) resolves with null
+ * content. Rejects with an error object, code 11 if the request fails, 12 if
+ * the response status is not 2xx, 13 on timeout and 14 if there are too many redirects.
+ */
+module.exports = function(source, options){
+
+    options = resolveOptions(options);
+
+    return new Promise(function(resolve, reject){
+        var redirects = 0;
+
+        get(source);
+
+        function get(source){
+            var protocol = source.https ? https : http,
+                location = toUrl(source),
+                req = protocol.request(requestOptions(source), function(res) {
+                    var content = '';
+
+                    // conditional request, content hasn't changed
+                    if (res.statusCode === 304){
+                        res.resume();
+                        return resolve({ content : null, url : location, statusCode : 304, headers : res.headers });
+                    }
+
+                    // follow redirects
+                    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location){
+                        res.resume();
+
+                        if (redirects >= options.maxRedirects)
+                            return reject({ description : 'Too many redirects fetching ' + location, code : 14 });
+
+                        var next = parseUrl(url.resolve(location, res.headers.location));
+                        if (!next)
+                            return reject({ description : 'Unsupported redirect to ' + res.headers.location + ' from ' + location, code : 11 });
+
+                        // credentials are only sent on to the same origin, never to another host, port or protocol
+                        var sameOrigin = next.https === !!source.https && next.host === source.host &&
+                                next.port === Number(source.port),
+                            dropped = ['host', 'hostname', 'port', 'path', 'https', 'auth'];
+
+                        next = _.merge(_.omit(source, sameOrigin ? dropped : dropped.concat(['headers', 'cookies'])), next);
+                        if (sameOrigin && source.auth && !next.auth)
+                            next.auth = source.auth;
+
+                        redirects ++;
+                        return get(next);
+                    }
+
+                    if (res.statusCode < 200 || res.statusCode >= 300){
+                        res.resume();
+                        return reject({ description : 'Status ' + res.statusCode + ' fetching ' + location, code : 12, statusCode : res.statusCode });
+                    }
+
+                    res.setEncoding(options.encoding);
+                    res.on('data', function (chunk) {
+                        content += chunk;
+                    });
+
+                    res.on('end', function () {
+                        resolve({
+                            content : content,
+                            url : location,
+                            statusCode : res.statusCode,
+                            headers : res.headers
+                        });
+                    });
+                });
+
+            req.on('error', function(err){
+                reject({ description : 'Request to ' + location + ' failed : ' + err.message, code : 11, inner : err });
+            });
+
+            req.setTimeout(options.timeout, function(){
+                reject({ description : 'Request to ' + location + ' timed out after ' + options.timeout + 'ms', code : 13 });
+                req.abort();
+            });
+
+            req.end();
+        }
+    });
+};
+
+module.exports.parseUrl = parseUrl;
+module.exports.toUrl = toUrl;
@@ -0,0 +1,59 @@
+'use strict';
+
+var path = require('path'),
+    _ = require('lodash'),
+    fetch = require('./fetch'),
+    cache = require('./cache'),
+    errors = require('./errors');
+
+
+/**
+ * Fetches a url source to a document, for url sources and crawled pages. If documentCache has lines for the url, they
+ * are asked for only if they changed since they were cached : the request is conditional on their ETag, and a 304
+ * response gives a document with the cached lines and positions instead of content. A document fetched with an ETag
+ * has etag and cacheKeys set, so its lines are cached once flattened, see documents.flatten().
+ *
+ * Crawled pages also need the links in them, which are cached with their lines (see crawl.js). If withLinks is set, an
+ * entry cached without links is not used.
+ *
+ * @param {object} source Url source object, with port and path set, see loadSource. Required.
+ * @param {object} options Resolved MarkupDiff options, encoding, timeout and maxRedirects are used. Required.
+ * @param {object} documentCache Cache as returned by cache.open(). Optional.
+ * @param {boolean} withLinks If set, only entries cached with links are used. Optional.
+ * @return {Promise} Resolves with { document : object, headers : object }, where document is as loadSource resolves
+ * with, with links set from cache on a 304, and headers are the response headers. The document's url is the url its
+ * content was finally fetched from, after redirects. Rejects with an error object, see fetch.
+ */
+module.exports = function(source, options, documentCache, withLinks){
+    var urlKey = documentCache ? cache.key('url', fetch.toUrl(source), options) : null,
+        cached = documentCache ? documentCache.get(urlKey) : null,
+        request = source;
+
+    // ask server for content only if it has changed since it was cached
+    if (cached && cached.etag && (!withLinks || cached.links))
+        request = _.merge({}, source, { headers : { 'If-None-Match' : cached.etag } });
+
+    return fetch(request, options).then(function(response){
+        var document = {
+            content : response.content,
+            path : path.join(source.host, source.path),
+            url : response.url,
+            reference : !!source.reference
+        };
+
+        // a 304 is only a cache hit if the request was conditional, otherwise there is no content to use
+        if (response.statusCode === 304 && request === source)
+            throw errors.create('Status 304 fetching ' + document.url + ' without a conditional request', 12, { statusCode : 304 });
+
+        if (response.statusCode === 304){
+            document.lines = cached.lines;
+            document.positions = cached.positions;
+            document.links = cached.links;
+        } else if (documentCache && response.headers.etag){
+            document.etag = response.headers.etag;
+            document.cacheKeys = [urlKey];
+        }
+
+        return { document : document, headers : response.headers };
+    });
+};
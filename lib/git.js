@@ -0,0 +1,100 @@
+'use strict';
+
+var childProcess = require('child_process'),
+    minimatch = require('minimatch'),
+    parallel = require('./parallel'),
+    resolveOptions = require('./options').resolve;
+
+
+/**
+ * Largest file git output is buffered up to, in bytes.
+ */
+var maxBuffer = 64 * 1024 * 1024;
+
+
+/**
+ * Runs git with args in repository dir. Returns a Promise of its stdout, rejects with an error object (code 19) if git
+ * can't be run or exits with an error, eg for an unknown revision.
+ */
+function run(dir, args, encoding){
+    return new Promise(function(resolve, reject){
+        childProcess.execFile('git', args, { cwd : dir, encoding : encoding, maxBuffer : maxBuffer }, function(err, stdout, stderr){
+            if (err)
+                return reject({
+                    description : 'Git command "git ' + args.join(' ') + '" failed in ' + dir + ' : ' + (String(stderr).trim() || err.message),
+                    code : 19,
+                    inner : err
+                });
+
+            resolve(stdout);
+        });
+    });
+}
+
+
+/**
+ * Reads the files matching a glob at a git revision of a local repository, with the git command line. Resolves with
+ * an array of documents, see loadSource. Each document's path is "revision:file", eg "HEAD~1:prototype/card.html", and
+ * it has revision and file set.
+ *
+ * Source properties :
+ *
+ *      git : revision to read, anything git accepts, eg 'HEAD~1', 'main' or a commit hash. Required.
+ *      glob : pattern files must match, relative to the repository root, eg 'prototype/**\/*.html'. Required.
+ *      repo : directory in the repository. Optional, defaults to the current directory.
+ *      reference : see loadSource.
+ *
+ * Rejects with an error object (code 19) if git fails, or the revision isn't a commit. Revisions starting with - are
+ * rejected, so they can't be read as git options.
+ *
+ * @param {object} source Source object as above. Required.
+ * @param {object} options MarkupDiff options, encoding and concurrency are used. Optional.
+ * @return {Promise}
+ */
+module.exports = function(source, options){
+    options = resolveOptions(options);
+
+    var dir = source.repo || process.cwd(),
+        revision = source.git;
+
+    var commit;
+
+    // a revision starting with - would be read by git as an option
+    if (!revision || String(revision).indexOf('-') === 0)
+        return Promise.reject({ description : 'Invalid git revision "' + revision + '"', code : 19 });
+
+    return run(dir, ['rev-parse', '--show-toplevel'], 'utf8').then(function(root){
+
+        // ls-tree lists paths relative to the repository root when run there
+        dir = root.trim();
+        return run(dir, ['rev-parse', '--verify', '--quiet', revision + '^{commit}'], 'utf8').catch(function(err){
+            throw { description : 'Unknown git revision "' + revision + '" in ' + dir, code : 19, inner : err.inner };
+        });
+
+    }).then(function(hash){
+
+        // files are read at the commit the revision resolves to, so the revision itself is never passed to git again
+        commit = hash.trim();
+        return run(dir, ['ls-tree', '-r', '--name-only', '-z', commit], 'utf8');
+
+    }).then(function(output){
+        var files = output.split('\0').filter(function(file){
+            return file && minimatch(file, source.glob, { dot : true });
+        });
+
+        if (!files.length)
+            console.warn('No files found for "' + source.glob + '" at ' + revision + '.');
+
+        return parallel(files, options.concurrency, function(file){
+            return run(dir, ['show', commit + ':' + file], 'buffer').then(function(content){
+                return {
+                    content : content.toString(options.encoding),
+                    path : revision + ':' + file,
+                    revision : revision,
+                    file : file,
+                    reference : !!source.reference
+                };
+            });
+        });
+    });
+};
@@ -0,0 +1,381 @@
+'use strict';
+
+var resolveOptions = require('./options').resolve,
+    errors = require('./errors'),
+    formatLocation = require('./locations').format,
+    collapseRepeats = require('./collapseRepeats'),
+    optional = require('./optional');
+
+
+/**
+ * Lines which nodeToLine writes around modules delimited by an element attribute or class, and the regexes which
+ * match them. They can't be produced by markup, so comment markers in the markup don't start modules in these modes.
+ */
+var elementModuleLines = {
+    start : function(name, variant){
+        return '<!module:' + name + (variant ? ' variant:' + variant : '') + '>';
+    },
+    end : '<!/module>',
+    startRegex : /^<!module:(\S*?)(?:\s+variant:(\S*?))?>$/,
+    endRegex : /^<!\/module>$/
+};
+
+
+/**
+ * Divides lines into modules. Modules are defined by start/end tags, or in attribute and class modes (see
+ * options.moduleDelimiter) by the lines nodeToLine writes around module elements. Content within ignored blocks are
+ * not included.
+ *
+ * @param {object} sourceLines SourceLines is an object : { lines : [ string ], path : string, positions : array,
+ * url : string }. This contains HTML from a unique source, divided up into an array of string lines. positions and
+ * url are optional, positions are the positions of lines in the source markup, see nodeToLine.flatten, url is the
+ * address the markup was fetched from.
+ *
+ * @param {object} options MarkupDiff options. Optional.
+ *
+ * @param {object} modules Modules found will be appended to this object as follows. Optional, a new object is created
+ * if not set :
+ *
+ *      {
+ *          someModule : {
+ *              aLocation : [ string ],
+ *              aLocation#2 : [ string ],
+ *              otherLocation : [ string ],
+ *          },
+ *
+ *          'someModule variant:featured' : ...
+ *      }
+ *
+ *      Modules are keyed by name, and by variant if the start tag has one (second capture group of
+ *      startModuleRegex). Instances are keyed by location. If a location contains more than one instance of a module,
+ *      the second and later instances are keyed location#2, location#3 etc, in the order they occur.
+ *
+ *      A module nested in another module is extracted as a module of its own, and is replaced in its parent's lines
+ *      by a placeholder line <module:name/> (or <module:name variant:variant/>).
+ *
+ *      Optional blocks are replaced by <optional> and </optional> lines, see compareModules.
+ *
+ *      Repeated sibling elements in a module's lines are collapsed if options.collapseRepeats is set or the module
+ *      contains a repeat marker, see collapseRepeats.
+ *
+ * @param {object} tree If set, the nesting of modules in the location is added to this object as follows. Optional.
+ *
+ *      {
+ *          aLocation : [
+ *              { module : string, instance : string, children : [ ... ] }
+ *          ]
+ *      }
+ *
+ *      where module is the module key and instance the instance key in modules.
+ *
+ * @param {object} locations If set, the source positions of each instance's lines are added to this object as
+ * follows. Optional.
+ *
+ *      {
+ *          someModule : {
+ *              aLocation : { file : string, positions : [ { line : integer, column : integer, domPath : string } ] }
+ *          }
+ *      }
+ *
+ *      where file is the url of the source if it has one, else its path, and positions[i] is the position of line i
+ *      of the instance. A position is null if sourceLines has no positions. A placeholder for a nested module gets
+ *      the position of the nested module's start.
+ *
+ * @return {object} modules
+ * @throws {Error} Error (codes 5-7, 17, 22, 25) if module, ignore or optional markup is broken, the first problem found
+ * by check().
+ */
+module.exports = function(sourceLines, options, modules, tree, locations){
+
+    options = resolveOptions(options);
+    modules = modules || {};
+
+    // modules delimited by elements are marked by nodeToLine with lines of its own
+    var startModuleRegex = options.moduleDelimiter === 'comment' ? options.startModuleRegex : elementModuleLines.startRegex,
+        endModuleRegex = options.moduleDelimiter === 'comment' ? options.endModuleRegex : elementModuleLines.endRegex;
+
+    // structure must be sound before modules can be cut out, the first broken marker is thrown
+    var broken = check(sourceLines, options).filter(function(problem){
+        return problem.severity === 'error';
+    });
+
+    if (broken.length)
+        throw broken[0];
+
+    // work on a copy, modules and ignore blocks are cut out of the line array as they are found
+    var lines = sourceLines.lines.slice(),
+        positions = sourceLines.positions ? sourceLines.positions.slice() : lines.map(function(){ return null; });
+
+    // remove ignore tags
+    while (true) {
+        var startPosition = -1;
+
+        for (var i = 0 ; i < lines.length ; i ++) {
+            var line = lines[i];
+
+            // find start tag furthest down array
+            var startMatches = options.startIgnoreRegex.exec(line);
+            if (startMatches)
+                startPosition = i;
+
+            // find end tag after last start tag - this will be the closing tag
+            if (options.endIgnoreRegex.exec(line) && startPosition !== -1){
+                lines.splice(startPosition, i - startPosition + 1); // cut out of array, including start/end tags
+                positions.splice(startPosition, i - startPosition + 1);
+                break;
+            }
+        }
+
+        // no more modules, exit
+        if (startPosition === -1)
+            break;
+    }
+
+
+    // optional block markers are replaced with lines that compareModules recognizes regardless of the regexes used
+    lines = lines.map(function(line){
+        if (options.startOptionalRegex.exec(line))
+            return optional.startLine;
+
+        if (options.endOptionalRegex.exec(line))
+            return optional.endLine;
+
+        return line;
+    });
+
+    // find modules. Modules can be nested, open modules are kept on a stack, lines are added to the innermost one. A
+    // nested module is replaced in its parent by a placeholder line, so parents are compared on their own structure only
+    var stack = [],
+        roots = [];
+
+    for (var i = 0 ; i < lines.length ; i ++) {
+        var line = lines[i],
+            startMatches = startModuleRegex.exec(line),
+            parent = stack.length ? stack[stack.length - 1] : null;
+
+        if (startMatches){
+
+            // this should never happen, but rather throw exception than do array overrun
+            if (startMatches.length < 2)
+                throw errors.create('Regex for module startTag returned unexpected match count.', 7);
+
+            var name = startMatches[1].trim(),
+                variant = startMatches[2] ? startMatches[2].trim() : null,
+                key = moduleKey(name, variant),
+                instance = sourceLines.path,
+                position = 1;
+
+            modules[key] = modules[key] || {};
+
+            // further instances of module in the same location are numbered
+            while (modules[key].hasOwnProperty(instance)){
+                position ++;
+                instance = sourceLines.path + '#' + position;
+            }
+
+            var node = { module : key, instance : instance, children : [] };
+            modules[key][instance] = [];
+
+            if (parent){
+                parent.lines.push('<module:' + name + (variant ? ' variant:' + variant : '') + '/>');
+                parent.positions.push(positions[i]);
+                parent.node.children.push(node);
+            } else
+                roots.push(node);
+
+            stack.push({ node : node, lines : modules[key][instance], positions : [] });
+            continue;
+        }
+
+        if (endModuleRegex.exec(line)){
+            // check() ensures this doesn't happen
+            if (!stack.length)
+                throw errors.create('Module end without start at ' + sourceLines.path, 6);
+
+            // module is complete, its repeated siblings can be collapsed
+            var closed = stack.pop(),
+                collapsed = collapseRepeats(closed.lines, options, closed.positions);
+
+            modules[closed.node.module][closed.node.instance] = collapsed.lines;
+
+            if (locations){
+                locations[closed.node.module] = locations[closed.node.module] || {};
+                locations[closed.node.module][closed.node.instance] = {
+                    file : sourceLines.url || sourceLines.path,
+                    positions : collapsed.positions
+                };
+            }
+            continue;
+        }
+
+        // lines outside modules are not needed
+        if (parent){
+            parent.lines.push(line);
+            parent.positions.push(positions[i]);
+        }
+    }
+
+    if (tree)
+        tree[sourceLines.path] = roots;
+
+    return modules;
+};
+
+
+/**
+ * Checks the structure of module, ignore and optional markers in flattened lines, and returns every problem found, in
+ * line order. Each problem is an Error (see errors.js) with description, code, severity ('error' or 'warning'), and
+ * the location of the marker it was found at : file, line, column and domPath (see locations.js, line, column and
+ * domPath are null if sourceLines has no positions). Problems :
+ *
+ *      5, 6, 17 : an ignore block, module or optional block has no end, or an end has no start (error)
+ *      22 : an end crosses a marker started inside the block it ends, eg a module ends inside an ignore block (error)
+ *      23 : a module appears more than once in the same source (warning, later instances are compared as path#2 etc)
+ *      24 : a module has no content (warning)
+ *      25 : a module start has no name (error)
+ *
+ * @param {object} sourceLines { lines : [ string ], path : string, positions : array, url : string }, see
+ * linesToModules. Required.
+ * @param {object} options MarkupDiff options. Optional.
+ * @return {array} Problems.
+ */
+function check(sourceLines, options){
+
+    options = resolveOptions(options);
+
+    var lines = sourceLines.lines,
+        problems = [],
+        stack = [],
+        seen = {},
+        markers = [
+            { label : 'Module', code : 6,
+                start : options.moduleDelimiter === 'comment' ? options.startModuleRegex : elementModuleLines.startRegex,
+                end : options.moduleDelimiter === 'comment' ? options.endModuleRegex : elementModuleLines.endRegex },
+            { label : 'Ignore block', code : 5, start : options.startIgnoreRegex, end : options.endIgnoreRegex },
+            { label : 'Optional block', code : 17, start : options.startOptionalRegex, end : options.endOptionalRegex }
+        ];
+
+    var location = function(index){
+        var position = sourceLines.positions ? sourceLines.positions[index] : null;
+
+        return {
+            file : sourceLines.url || sourceLines.path,
+            line : position ? position.line : null,
+            column : position ? position.column : null,
+            domPath : position ? position.domPath : null
+        };
+    };
+
+    var problem = function(description, code, index, severity){
+        var at = location(index);
+        at.severity = severity || 'error';
+        problems.push({ index : index, error : errors.create(description + ' at ' + formatLocation(at), code, at) });
+    };
+
+    var where = function(open){
+        var at = location(open.index);
+        return at.line === null ? 'line ' + (open.index + 1) + ' of the flattened markup' : 'line ' + at.line;
+    };
+
+    var describe = function(open, lowerCase){
+        return (lowerCase ? open.marker.label.toLowerCase() : open.marker.label) + (open.name ? ' "' + open.name + '"' : '');
+    };
+
+    for (var i = 0 ; i < lines.length ; i ++){
+        for (var j = 0 ; j < markers.length ; j ++){
+            var marker = markers[j],
+                startMatches = marker.start.exec(lines[i]);
+
+            if (startMatches){
+                var open = { marker : marker, index : i, name : null };
+
+                if (j === 0){
+                    open.name = (startMatches[1] || '').trim();
+
+                    var key = moduleKey(open.name, startMatches[2] ? startMatches[2].trim() : null);
+
+                    if (!open.name)
+                        problem('Module start without a name', 25, i);
+                    else if (seen.hasOwnProperty(key))
+                        problem('Module "' + key + '" appears more than once (first at ' + where(seen[key]) + ')', 23, i, 'warning');
+                    else
+                        seen[key] = open;
+                }
+
+                stack.push(open);
+                break;
+            }
+
+            if (!marker.end.exec(lines[i]))
+                continue;
+
+            // the innermost open block of the same kind is the one ending
+            var index = -1;
+            for (var k = stack.length - 1 ; k >= 0 && index === -1 ; k --)
+                if (stack[k].marker === marker)
+                    index = k;
+
+            if (index === -1){
+                problem(marker.label + ' end without start', marker.code, i);
+                break;
+            }
+
+            // blocks opened after it and still open are crossed, they are left open to be ended on their own
+            for (var k = index + 1 ; k < stack.length ; k ++)
+                problem(describe(stack[index]) + ' ends inside ' + describe(stack[k], true) + ' (started at ' + where(stack[k]) + ')', 22, i);
+
+            var closed = stack.splice(index, 1)[0];
+            if (j === 0 && closed.name && closed.index === i - 1)
+                problem('Module "' + closed.name + '" is empty', 24, closed.index, 'warning');
+
+            break;
+        }
+    }
+
+    stack.forEach(function(open){
+        problem(describe(open) + ' has no end', open.marker.code, open.index);
+    });
+
+    // problems are found at the end of a block, but are listed where they are
+    return problems.sort(function(a, b){
+        return a.index - b.index;
+    }).map(function(problem){
+        return problem.error;
+    });
+}
+
+
+/**
+ * Splits flattened documents into modules. Returns { modules : object, tree : object, locations : object }, the
+ * modules, nesting tree and source positions of all documents, see linesToModules.
+ *
+ * @param {array} documents Flattened documents, see linesToModules. Required.
+ * @param {object} options MarkupDiff options. Optional.
+ * @return {object}
+ * @throws {Error} Error if module, ignore or optional markup is broken, see linesToModules.
+ */
+function extract(documents, options){
+    var extracted = { modules : {}, tree : {}, locations : {} };
+
+    for (var i = 0 ; i < documents.length ; i ++)
+        module.exports(documents[i], options, extracted.modules, extracted.tree, extracted.locations);
+
+    return extracted;
+}
+
+
+/**
+ * Returns the key a module is stored under in modules.
+ *
+ * @param {string} name Module name. Required.
+ * @param {string} variant Module variant. Optional.
+ * @return {string}
+ */
+function moduleKey(name, variant){
+    return variant ? name + ' variant:' + variant : name;
+}
+
+module.exports.check = check;
+module.exports.extract = extract;
+module.exports.moduleKey = moduleKey;
+module.exports.elementModuleLines = elementModuleLines;
@@ -0,0 +1,53 @@
+'use strict';
+
+var colors = require('colors'),
+    documents = require('./documents'),
+    check = require('./linesToModules').check;
+
+
+/**
+ * Checks the structure of module, ignore and optional markers in every document of sources, without comparing
+ * anything. Every problem in every document is reported, not just the first one compare() stops at, see
+ * linesToModules.check().
+ *
+ * @param {array} sources Array of sources, see loadSource. Required.
+ * @param {object} options Resolved MarkupDiff options. Required.
+ * @return {Promise} Resolves with { problems : [ Error ], documents : [ string ] }, where problems are in document and
+ * line order, and documents are the paths of the documents checked. Rejects with an error object if a source can't be
+ * loaded.
+ */
+module.exports = function(sources, options){
+    return documents.load(sources, options).then(function(loaded){
+        var problems = [];
+
+        loaded.documents.forEach(function(document){
+            problems = problems.concat(check(document, options));
+        });
+
+        return {
+            problems : problems,
+            documents : loaded.documents.map(function(document){ return document.path; })
+        };
+    });
+};
+
+
+/**
+ * Formats the result of a lint as human-readable, colored text, one problem per line.
+ *
+ * @param {object} result { problems : [ Error ], documents : [ string ] }. Required.
+ * @return {string}
+ */
+module.exports.format = function(result){
+    var out = result.problems.map(function(problem){
+        var text = problem.severity + ' ' + problem.description + ' (code ' + problem.code + ')';
+        return problem.severity === 'error' ? text.red : text.yellow;
+    });
+
+    if (!result.problems.length)
+        out.push(('No problems found in ' + result.documents.length + ' document(s).').green);
+    else
+        out.push('Found ' + result.problems.length + ' problem(s) in ' + result.documents.length + ' document(s).');
+
+    return out.join('\n');
+};
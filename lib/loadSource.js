@@ -0,0 +1,170 @@
+'use strict';
+
+var path = require('path'),
+    fs = require('fs'),
+    glob = require('glob'),
+    fetch = require('./fetch'),
+    fetchDocument = require('./fetchDocument'),
+    crawl = require('./crawl'),
+    git = require('./git'),
+    cache = require('./cache'),
+    parallel = require('./parallel'),
+    nodeify = require('./nodeify'),
+    resolveOptions = require('./options').resolve;
+
+
+/**
+ * Loads/fetches html documents at a given source. source can be a url, or a path glob. Returns one or more
+ * documents (glob can return multipl files).
+ *
+ * source can be one of two types :
+ *
+ * { host : 'www.domain.com', port : 80, path : '/page.html' }
+ * This is the standard node.js "http.request" options object
+ * (https://nodejs.org/api/http.html#http_http_request_options_callback). Set https : true for https. headers and
+ * auth ('user:password') are passed on with the request, cookies can be an object of name : value, or a string.
+ *
+ * Or
+ * 'http://www.domain.com/page.html'
+ * A url string, which is converted to the above. Any other string is treated as a glob.
+ *
+ * Or
+ * { crawl : 'http://www.domain.com/', depth : 2, limit : 100, include : [ ], exclude : [ ] }
+ * Crawls a site for pages, starting at a page or a sitemap.xml. See crawl.js for all properties.
+ *
+ * Or
+ * { glob : 'some/path/', options : { } }
+ * Options here is the standard 'glob' package's options
+ * (https://github.com/isaacs/node-glob)
+ *
+ * Or
+ * { git : 'HEAD~1', glob : 'prototype/**\/*.html', repo : 'some/path/' }
+ * Reads the files matching glob at a revision of a local git repository. See git.js.
+ *
+ * Either type can have reference : true, in which case its documents are compared against instead of each other
+ * (see compareModules).
+ *
+ * Files matched by a glob are read concurrently, up to options.concurrency at a time.
+ *
+ * If options.cache is set, flattened lines of files are cached by file path and modification time, and of urls and
+ * crawled pages by their ETag (see fetchDocument). Documents found in cache have lines set instead of content, they do not need to be flattened again. Documents
+ * not found in cache have cacheKeys set, see compare().
+ *
+ * @param {object} source Source object as above. Required.
+ * @param {object} options MarkupDiff options, encoding, timeout, maxRedirects, concurrency and cache are used.
+ * Optional.
+ * @param {function} callback (err, documents). Optional.
+ * @return {Promise} Resolves with an array of documents :
+ * { content : string, path : string, url : string, reference : boolean, lines : [ string ], positions : array,
+ *   cacheKeys : [ string ], etag : string }
+ * Where content is the markup of the target document, path is its unique file path / url, and url the address it was
+ * finally fetched from after redirects, for url and crawl sources. Rejects with an error object (codes 1-4, 11-16, 19).
+ */
+module.exports = function(source, options, callback){
+
+    if (typeof options === 'function'){
+        callback = options;
+        options = null;
+    }
+
+    options = resolveOptions(options);
+
+    return nodeify(new Promise(function(resolve, reject){
+
+        if (typeof source === 'string')
+            source = fetch.parseUrl(source) || { glob : source };
+
+        if (source.host){
+
+            if (!source.port)
+                source.port = source.https ? 443 : 80;
+
+            if (source.path === undefined || source.path === null)
+                return reject({ description : 'Url source expects a page argument', code : 2});
+
+            // path must have leading / or request will fail, this is a nodejs http thing
+            if (source.path.indexOf('/') !== 0)
+                return reject({description : 'path needs to start with /', code : 1});
+
+            fetchDocument(source, options, options.cache ? cache.open(options.cache) : null).then(function(fetched){
+                resolve([fetched.document]);
+            }, reject);
+
+        } else if (source.crawl) {
+
+            crawl(source, options).then(resolve, reject);
+
+        } else if (source.git) {
+
+            git(source, options).then(resolve, reject);
+
+        } else if (source.glob) {
+
+            glob(source.glob, source.options || { }, function(er, files){
+
+                // exit on error
+                if (er)
+                    return reject({description : 'Glob error', code : 3, inner : er});
+
+                if (files.length === 0)
+                    console.warn('No files found for "' + source.glob + '".');
+
+                var documentCache = options.cache ? cache.open(options.cache) : null;
+
+                parallel(files, options.concurrency, function(file){
+                    return readDocument(file, source, options, documentCache);
+                }).then(resolve, reject);
+            });
+
+        } else {
+            reject({description : 'Unsupported source. ' + source, code : 4 });
+        }
+
+    }), callback);
+};
+
+
+/**
+ * Reads a file to a document. If documentCache is set, and has lines for the file's current modification time, the
+ * file is not read.
+ */
+function readDocument(file, source, options, documentCache){
+    return new Promise(function(resolve, reject){
+        var document = {
+                content : null,
+                path : file,
+                reference : !!source.reference
+            };
+
+        function read(fileKey){
+            fs.readFile(file, { encoding : options.encoding }, function(err, content){
+                if (err)
+                    return reject({ description : 'Could not read file ' + file, code : 16, inner : err });
+
+                document.content = content;
+                if (fileKey)
+                    document.cacheKeys = [fileKey];
+
+                resolve(document);
+            });
+        }
+
+        if (!documentCache)
+            return read(null);
+
+        fs.stat(file, function(err, stats){
+            if (err)
+                return reject({ description : 'Could not read file ' + file, code : 16, inner : err });
+
+            var fileKey = cache.key('file', path.resolve(file) + '|' + stats.mtime.getTime() + '|' + stats.size, options),
+                cached = documentCache.get(fileKey);
+
+            if (!cached)
+                return read(fileKey);
+
+            document.lines = cached.lines;
+            document.positions = cached.positions;
+            resolve(document);
+        });
+    });
+}
@@ -0,0 +1,71 @@
+'use strict';
+
+
+/**
+ * Returns the location in source markup of a side of an error, or null if unknown. For a side with no lines (the
+ * position lines were added or removed at) this is the location of the line before that position.
+ */
+function locate(side, instanceLocations){
+    if (!instanceLocations)
+        return null;
+
+    var positions = instanceLocations.positions,
+        index = side.src.length ? side.line - 1 : Math.min(side.line - 1, positions.length) - 1,
+        position = positions[Math.max(index, 0)];
+
+    if (!position)
+        return null;
+
+    return {
+        file : instanceLocations.file,
+        line : position.line,
+        column : position.column,
+        domPath : position.domPath
+    };
+}
+
+
+/**
+ * Adds the location in source markup to both sides of every error in results, as location : { file : string, line :
+ * integer, column : integer, domPath : string }, see linesToModules. Location is null if it is unknown, eg for
+ * instances from a baseline. Line and column are null if only the DOM path is known.
+ *
+ * @param {object} results Results as returned by compareModules. Required.
+ * @param {object} locations Locations as collected by linesToModules. Required.
+ * @return {object} results
+ */
+module.exports.annotate = function(results, locations){
+    for (var module in results.errors)
+        for (var test in results.errors[module])
+            results.errors[module][test].forEach(function(error){
+                var moduleLocations = locations[module] || {};
+
+                error.source.location = locate(error.source, moduleLocations[error.source.path]);
+                error.test.location = locate(error.test, moduleLocations[error.test.path]);
+            });
+
+    return results;
+};
+
+
+/**
+ * Formats location as "file:line:column (domPath)". Parts which are unknown are left out, null returns an empty
+ * string.
+ *
+ * @param {object} location Location, see annotate. Optional.
+ * @return {string}
+ */
+module.exports.format = function(location){
+    if (!location)
+        return '';
+
+    var text = location.file;
+
+    if (location.line !== null)
+        text += ':' + location.line + ':' + location.column;
+
+    if (location.domPath)
+        text += ' (' + location.domPath + ')';
+
+    return text;
+};
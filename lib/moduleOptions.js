@@ -0,0 +1,219 @@
+'use strict';
+
+var minimatch = require('minimatch'),
+    collapseRepeats = require('./collapseRepeats'),
+    tagLine = require('./tagLine'),
+    patterns = require('./patterns'),
+    errors = require('./errors');
+
+
+/**
+ * Options which can be overridden per module, see options.moduleOptions.
+ */
+var keys = ['skip', 'attributes', 'excludeAttributes', 'processInnerText', 'sortAttributes', 'collapseRepeats'];
+
+
+/**
+ * Returns the overrides which apply to a module, merged in the order their patterns are in moduleOptions, or null if
+ * none apply. Patterns are globs, matched against the module key (eg "card variant:featured") and against the module
+ * name without its variant, so "card" applies to all variants of card.
+ *
+ * @param {string} module Module key, see linesToModules. Required.
+ * @param {object} moduleOptions options.moduleOptions. Optional.
+ * @return {object}
+ */
+function find(module, moduleOptions){
+    var name = module.split(/\s+variant:/)[0],
+        overrides = null;
+
+    Object.keys(moduleOptions || {}).forEach(function(pattern){
+        if (!minimatch(module, pattern) && !minimatch(name, pattern))
+            return;
+
+        overrides = overrides || {};
+        for (var key in moduleOptions[pattern])
+            overrides[key] = moduleOptions[pattern][key];
+    });
+
+    return overrides;
+}
+
+
+/**
+ * Rewrites the attributes of an element start tag line, keeping those allowed by overrides, in name order if
+ * overrides.sortAttributes is set. Other lines are returned as is.
+ */
+function filterAttributes(line, overrides){
+    var tag = tagLine.parse(line);
+
+    if (!tag || !tag.attributes.length)
+        return line;
+
+    var attributes = tag.attributes.filter(function(attribute){
+        if (overrides.attributes && overrides.attributes.length && !patterns.matchesAny(overrides.attributes, attribute.name))
+            return false;
+
+        return !(overrides.excludeAttributes && overrides.excludeAttributes.length &&
+            patterns.matchesAny(overrides.excludeAttributes, attribute.name));
+    });
+
+    if (overrides.sortAttributes)
+        attributes.sort(function(a, b){
+            return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+        });
+
+    return '<' + tag.tag + attributes.map(function(attribute){
+        return attribute.text;
+    }).join('') + '>';
+}
+
+
+/**
+ * Applies overrides to the lines of an instance, and to their positions. Returns { lines : [ string ], positions :
+ * array }.
+ */
+function override(lines, positions, overrides){
+    var result = { lines : [], positions : [] };
+
+    for (var i = 0 ; i < lines.length ; i ++){
+        if (overrides.processInnerText === false && lines[i] === '<innertext/>')
+            continue;
+
+        result.lines.push(filterAttributes(lines[i], overrides));
+        result.positions.push(positions[i]);
+    }
+
+    if (overrides.collapseRepeats)
+        result = collapseRepeats(result.lines, { collapseRepeats : true }, result.positions);
+
+    return result;
+}
+
+
+/**
+ * Returns a description of the first option in overrides which would bring back markup that options leave out, or
+ * null if there is none. As overrides are applied to lines already flattened with options (see apply), they can't :
+ * compare attributes which options.attributes doesn't list, or options.excludeAttributes leaves out, compare inner
+ * text if options.processInnerText is off, or undo options.sortAttributes and options.collapseRepeats.
+ *
+ * @param {object} overrides Overrides of a module, see options.moduleOptions. Required.
+ * @param {object} options Resolved MarkupDiff options. Required.
+ * @return {string}
+ */
+function widens(overrides, options){
+    var attributes = overrides.attributes || [];
+
+    for (var i = 0 ; i < attributes.length ; i ++){
+        var name = String(attributes[i]),
+            listed = !options.attributes.length || patterns.matchesAny(options.attributes, name);
+
+        if (!listed || patterns.matchesAny(options.excludeAttributes, name))
+            return 'attributes lists "' + name + '", which options leave out';
+    }
+
+    if (overrides.processInnerText === true && !options.processInnerText)
+        return 'processInnerText is on, but off in options';
+
+    if (overrides.sortAttributes === false && options.sortAttributes)
+        return 'sortAttributes is off, but on in options';
+
+    if (overrides.collapseRepeats === false && options.collapseRepeats)
+        return 'collapseRepeats is off, but on in options';
+
+    return null;
+}
+
+
+/**
+ * Throws an error (code 27) for the first override in options.moduleOptions which would bring back markup that options
+ * leave out, see widens(). config.load() rejects such config files with code 20.
+ *
+ * @param {object} options Resolved MarkupDiff options. Required.
+ */
+function check(options){
+    for (var pattern in options.moduleOptions){
+        var widened = widens(options.moduleOptions[pattern], options);
+
+        if (widened)
+            throw errors.create('Invalid module option for "' + pattern + '" : ' + widened + '. Overrides can leave ' +
+                'out more than options, but can\'t bring back what options leave out.', 27, { module : pattern });
+    }
+}
+
+
+/**
+ * Applies per-module overrides (options.moduleOptions) to extracted modules. Lines are overridden in place, in
+ * extracted.modules and extracted.locations. As overrides work on lines flattened with the global options, they can
+ * leave out attributes and inner text which global options keep, but can't bring back what global options leave out :
+ * such overrides are an error (code 27), see check().
+ *
+ * Returns { modules : object, skipped : object }, where modules are the modules to compare, and skipped holds the
+ * modules whose overrides have skip set (expected mismatches), which are not compared. See skip().
+ *
+ * @param {object} extracted { modules : object, locations : object }, see linesToModules. Required.
+ * @param {object} options Resolved MarkupDiff options, the overrides are options.moduleOptions. Required.
+ * @return {object}
+ */
+function apply(extracted, options){
+    var moduleOptions = options.moduleOptions,
+        result = { modules : {}, skipped : {} };
+
+    check(options);
+
+    for (var module in extracted.modules){
+        var overrides = find(module, moduleOptions);
+
+        if (overrides && overrides.skip){
+            result.skipped[module] = extracted.modules[module];
+            continue;
+        }
+
+        result.modules[module] = extracted.modules[module];
+
+        if (!overrides)
+            continue;
+
+        for (var instance in extracted.modules[module]){
+            var instanceLocations = (extracted.locations[module] || {})[instance],
+                lines = extracted.modules[module][instance],
+                overridden = override(lines, instanceLocations ? instanceLocations.positions : [], overrides);
+
+            extracted.modules[module][instance] = overridden.lines;
+            if (instanceLocations)
+                instanceLocations.positions = overridden.positions;
+        }
+    }
+
+    return result;
+}
+
+
+/**
+ * Adds skipped modules (see apply) back to modules, and warns about each in results. The warnings have skipped :
+ * true.
+ *
+ * @param {object} modules Compared modules. Required.
+ * @param {object} results Results as returned by compareModules. Required.
+ * @param {object} skipped Skipped modules, see apply. Required.
+ * @return {object} results
+ */
+function skip(modules, results, skipped){
+    for (var module in skipped){
+        modules[module] = skipped[module];
+        results.warnings[module] = {
+            description : 'Module "' + module + '" was skipped, it is marked as an expected mismatch.',
+            path : Object.keys(skipped[module])[0],
+            skipped : true
+        };
+    }
+
+    return results;
+}
+
+
+module.exports.keys = keys;
+module.exports.find = find;
+module.exports.widens = widens;
+module.exports.check = check;
+module.exports.apply = apply;
+module.exports.skip = skip;
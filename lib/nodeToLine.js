@@ -0,0 +1,392 @@
+'use strict';
+
+var jsdom = require('jsdom-no-contextify').jsdom,
+    resolveOptions = require('./options').resolve,
+    sourcePositions = require('./sourcePositions'),
+    tagLine = require('./tagLine'),
+    patterns = require('./patterns'),
+    elementModuleLines = require('./linesToModules').elementModuleLines;
+
+
+/**
+ * Module delimiter modes, see options.moduleDelimiter.
+ */
+var delimiters = ['comment', 'attribute', 'class'];
+
+
+/**
+ * Compiles options.attributeRules to an array of { name : RegExp, rule : object }. Rule names are matched against
+ * the whole attribute name, and patterns in each rule are converted to RegExps.
+ */
+function compileRules(options){
+    var rules = [];
+
+    Object.keys(options.attributeRules || {}).forEach(function(name){
+        var rule = options.attributeRules[name] || {};
+        rules.push({
+            name : new RegExp('^(?:' + name + ')$'),
+            presence : !!rule.presence,
+            tokens : !!rule.tokens,
+            strip : (rule.strip || []).map(patterns.toRegex),
+            ignoreTokens : (rule.ignoreTokens || []).map(patterns.toRegex)
+        });
+    });
+
+    return rules;
+}
+
+
+/**
+ * Applies an attribute rule to value.
+ *
+ * tokens : value is split on whitespace, tokens matching ignoreTokens are dropped, strip patterns are removed from
+ * each remaining token, and the result is sorted and de-duplicated, so token order doesn't matter.
+ * otherwise : strip patterns are removed from value.
+ */
+function applyRule(rule, value){
+    var strip = function(text){
+        for (var i = 0 ; i < rule.strip.length ; i ++)
+            text = text.replace(rule.strip[i], '');
+        return text;
+    };
+
+    if (!rule.tokens)
+        return strip(value);
+
+    var tokens = value.split(/\s+/).filter(function(token){
+        return token.length && !patterns.matchesAny(rule.ignoreTokens, token);
+    }).map(strip).filter(function(token){
+        return token.length > 0;
+    }).sort();
+
+    return tokens.filter(function(token, index){
+        return tokens.indexOf(token) === index;
+    }).join(' ');
+}
+
+
+/**
+ * Serializes the attributes of an element node. Only attributes which match options.attributes (if set) and don't match
+ * options.excludeAttributes or ignoredAttributes (from an ignore-attributes marker) are included. The first rule whose
+ * name matches an attribute is applied to it - a presence rule writes the attribute name only, so any value is
+ * accepted. If options.sortAttributes is set, attributes are written in name order instead of DOM order. Values are
+ * escaped, see tagLine.escape.
+ */
+function serializeAttributes(node, options, rules, ignoredAttributes){
+    var attributes = [];
+
+    if (!node.attributes)
+        return '';
+
+    for (var j = 0 ; j < node.attributes.length ; j ++){
+        var attribute = node.attributes[j];
+
+        if (options.attributes.length && !patterns.matchesAny(options.attributes, attribute.name))
+            continue;
+
+        if (options.excludeAttributes.length && patterns.matchesAny(options.excludeAttributes, attribute.name))
+            continue;
+
+        if (ignoredAttributes.length && patterns.matchesAny(ignoredAttributes, attribute.name))
+            continue;
+
+        var rule = null;
+        for (var k = 0 ; k < rules.length ; k ++)
+            if (rules[k].name.test(attribute.name)){
+                rule = rules[k];
+                break;
+            }
+
+        attributes.push({
+            name : attribute.name,
+            text : rule && rule.presence ?
+                attribute.name :
+                attribute.name + '="' + tagLine.escape(rule ? applyRule(rule, attribute.value) : attribute.value) + '"'
+        });
+    }
+
+    if (options.sortAttributes)
+        attributes.sort(function(a, b){
+            return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+        });
+
+    return attributes.map(function(attribute){
+        return ' ' + attribute.text;
+    }).join('');
+}
+
+
+/**
+ * Returns the module an element starts, as { name : string, variant : string }, or null if it doesn't start one.
+ *
+ * attribute : name is the value of options.moduleAttribute, variant the value of options.moduleVariantAttribute.
+ * class : name is the first class matching options.moduleClassRegex, variant the second capture group of the first
+ * class with the same name which has one, eg "card card--featured".
+ */
+function elementModule(node, options){
+    if (options.moduleDelimiter === 'attribute'){
+        var name = node.getAttribute(options.moduleAttribute);
+        if (!name || !name.trim())
+            return null;
+
+        return { name : name.trim(), variant : (node.getAttribute(options.moduleVariantAttribute) || '').trim() || null };
+    }
+
+    if (options.moduleDelimiter === 'class'){
+        var module = null,
+            classes = (node.getAttribute('class') || '').split(/\s+/);
+
+        for (var i = 0 ; i < classes.length ; i ++){
+            var matches = classes[i] ? patterns.toRegex(options.moduleClassRegex).exec(classes[i]) : null;
+            if (!matches || (module && matches[1] !== module.name))
+                continue;
+
+            module = module || { name : matches[1], variant : null };
+            module.variant = module.variant || matches[2] || null;
+        }
+
+        return module;
+    }
+
+    return null;
+}
+
+
+/**
+ * Throws an error object if options.moduleDelimiter isn't a known mode, or is class without options.moduleClassRegex.
+ */
+function checkDelimiter(options){
+    if (delimiters.indexOf(options.moduleDelimiter) === -1)
+        throw { description : 'Invalid module delimiter "' + options.moduleDelimiter + '", expected one of ' + delimiters.join(', '), code : 18 };
+
+    if (options.moduleDelimiter === 'class' && !options.moduleClassRegex)
+        throw { description : 'Module delimiter "class" requires moduleClassRegex', code : 18 };
+}
+
+
+/**
+ * Returns the CSS selector step for element node, eg "div#main.card.card--featured" or "li:nth-child(2)". The
+ * position is added only if the element has siblings with the same tag name.
+ */
+function domStep(node){
+    var tagName = node.tagName.toLowerCase(),
+        step = tagName,
+        id = node.getAttribute('id'),
+        classes = (node.getAttribute('class') || '').split(/\s+/).filter(Boolean),
+        siblings = node.parentNode ? node.parentNode.childNodes : [],
+        position = 0,
+        sameTag = 0;
+
+    if (id)
+        step += '#' + id;
+
+    if (classes.length)
+        step += '.' + classes.join('.');
+
+    for (var i = 0 ; i < siblings.length ; i ++){
+        if (siblings[i].nodeType !== 1)
+            continue;
+
+        if (siblings[i] === node)
+            position = i;
+
+        if (siblings[i].tagName.toLowerCase() === tagName)
+            sameTag ++;
+    }
+
+    if (sameTag > 1){
+        var index = 0;
+        for (var i = 0 ; i <= position ; i ++)
+            if (siblings[i].nodeType === 1)
+                index ++;
+
+        step += ':nth-child(' + index + ')';
+    }
+
+    return step;
+}
+
+
+/**
+ * Adds a line, and if positions are being collected, its position : { line : integer, column : integer, domPath :
+ * string }. Line and column are null if the position in the source markup is unknown.
+ */
+function write(context, line, offset, domPath){
+    context.lines.push(line);
+
+    if (!context.positions)
+        return;
+
+    var position = context.source && offset !== null ? context.source.position(offset) : { line : null, column : null };
+    position.domPath = domPath;
+    context.positions.push(position);
+}
+
+
+/**
+ * Converts the contents of node to a string, and recurses for all children of that node. Children will be wrapped
+ * inside a closing tag of the parent node if applicable.
+ *
+ * context is { options : object, rules : array, lines : [ string ], positions : array, source : object, content :
+ * string, root : object }, where root is the node flattening started at, rules are compiled options.attributeRules (see
+ * compileRules), and lines and positions the arrays written to. positions and source (see sourcePositions.parse) are
+ * optional. sourceNode is the parsed node node was built from, if known, domPath is the path to node, or for text and
+ * comments the path to their parent.
+ *
+ * ignore holds the markers which apply to node : { attributes : [ string ], text : boolean }, see
+ * options.ignoreAttributesRegex and options.ignoreTextRegex. An ignored text applies to all children of node.
+ */
+function nodeToLine(node, context, ignore, sourceNode, domPath){
+    var options = context.options,
+        offsets = sourcePositions.offsets(sourceNode, context.content),
+        flattened = null;
+
+    ignore = ignore || { attributes : [], text : false };
+
+    // in attribute and class modes an element can start a module, which then ends after its closing tag
+    var module = node.nodeType === 1 ? elementModule(node, options) : null;
+    if (module)
+        write(context, elementModuleLines.start(module.name, module.variant), offsets.start, domPath);
+
+    // handle different node types
+    if (node.nodeType === 1)
+    {
+        // Structural nodes are recreated here. The recreated node structure is not identical to the source HTML, as
+        // JSDOM doesn't parse 100% accurately, however, JSOM is always consistent in how it parses. Identical markup
+        // always parses the same, and we are interested in differences only.
+
+        flattened = '<' + node.tagName.toLowerCase();
+
+        flattened += serializeAttributes(node, options, context.rules, ignore.attributes);
+        flattened += '>';
+    }
+    else if (node.nodeType === 3 && options.processInnerText && !ignore.text){
+        // replace inner text content with a standard element - we want to test for presence, not content,  of
+        // innertext
+        var nodeValue = node.nodeValue.trim();
+        nodeValue = nodeValue.replace(/\n/, '');
+        if (nodeValue.length > 0)
+            flattened = '<innertext/>';
+    }
+    else if (node.nodeType === 8){
+        // recreate comments
+        flattened = '<!--' + node.nodeValue + '-->';
+    }
+
+    if (flattened)
+        write(context, flattened, offsets.start, domPath);
+
+    // recurse for children. Markers are collected until the next element, which they apply to, and are not written.
+    // Children of the flattened node itself get paths relative to it.
+    var pending = { attributes : [], text : ignore.text },
+        sourceChildren = sourcePositions.children(sourceNode),
+        isRoot = context.root === node;
+
+    for (var i = 0 ; i < node.childNodes.length ; i ++){
+        var child = node.childNodes[i],
+            sourceChild = sourcePositions.matches(child, sourceChildren[i]) ? sourceChildren[i] : null;
+
+        if (child.nodeType === 8){
+            var comment = '<!--' + child.nodeValue + '-->',
+                attributeMatches = options.ignoreAttributesRegex.exec(comment);
+
+            if (attributeMatches){
+                pending.attributes = pending.attributes.concat(attributeMatches[1].split(/[\s,]+/).filter(Boolean));
+                continue;
+            }
+
+            if (options.ignoreTextRegex.exec(comment)){
+                pending.text = true;
+                continue;
+            }
+        }
+
+        if (child.nodeType !== 1){
+            nodeToLine(child, context, { attributes : [], text : ignore.text }, sourceChild, domPath);
+            continue;
+        }
+
+        nodeToLine(child, context, pending, sourceChild, isRoot ? domStep(child) : domPath + ' > ' + domStep(child));
+        pending = { attributes : [], text : ignore.text };
+    }
+
+    // close node off if structural
+    if (node.nodeType === 1)
+        write(context, '</' + node.tagName.toLowerCase() + '>', offsets.end, domPath);
+
+    if (module)
+        write(context, elementModuleLines.end, offsets.end, domPath);
+}
+
+
+/**
+ * Flattens a DOM node and all its children to an array of strings, one per element start tag, end tag, comment and
+ * inner text.
+ *
+ * If positions is set, the DOM path of each line is appended to it, see flatten. Positions in markup are not known for
+ * a DOM node, line and column are null.
+ *
+ * @param {object} node DOM node. Required.
+ * @param {object} options MarkupDiff options. Optional.
+ * @param {array} outArray Lines are appended to this array if set. Optional.
+ * @param {array} positions Positions are appended to this array if set. Optional.
+ * @return {array} Array of strings.
+ * @throws {object} Error object (code 18) if options.moduleDelimiter is invalid.
+ */
+module.exports.nodeToLine = function(node, options, outArray, positions){
+    outArray = outArray || [];
+    options = resolveOptions(options);
+    checkDelimiter(options);
+
+    nodeToLine(node, {
+        options : options,
+        rules : compileRules(options),
+        lines : outArray,
+        positions : positions || null,
+        root : node
+    }, null, null, node.nodeType === 1 ? domStep(node) : '');
+
+    return outArray;
+};
+
+
+/**
+ * Parses HTML markup and flattens its body, see nodeToLine.
+ *
+ * If positions is set, the position of each line in content is appended to it, so positions[i] is the position of
+ * lines[i] : { line : integer, column : integer, domPath : string }. Line and column are 1-based, and are those of the
+ * element's start tag, of an end tag (or the start tag if it has none), of the first character of inner text, or of
+ * a comment. They are null for elements the parser inserted, eg tbody. domPath is a CSS selector path to the element
+ * from body, eg "div.card > ul > li:nth-child(2)", for inner text and comments that of the element they are in.
+ *
+ * If dom is set, it is flattened instead of content parsed again, eg a page rendered by render.js. content is then used
+ * to find positions only, elements which scripts created or moved may have no position.
+ *
+ * @param {string} content HTML markup. Required.
+ * @param {object} options MarkupDiff options. Optional.
+ * @param {array} positions Positions are appended to this array if set. Optional.
+ * @param {object} dom DOM document parsed from content. Optional.
+ * @return {array} Array of strings.
+ * @throws {object} Error object (code 18) if options.moduleDelimiter is invalid.
+ */
+module.exports.flatten = function(content, options, positions, dom){
+    var source = positions ? sourcePositions.parse(content) : null,
+        lines = [];
+
+    dom = dom || jsdom(content);
+
+    options = resolveOptions(options);
+    checkDelimiter(options);
+
+    nodeToLine(dom.body, {
+        options : options,
+        rules : compileRules(options),
+        lines : lines,
+        positions : positions || null,
+        source : source,
+        content : content,
+        root : dom.body
+    }, null, source ? source.body : null, 'body');
+
+    return lines;
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Passes the outcome of promise to an optional node-style callback (err, result), and returns the promise. The callback
+ * is called outside of the promise chain, so exceptions thrown in it are not swallowed as rejections.
+ */
+module.exports = function(promise, callback){
+    if (!callback)
+        return promise;
+
+    promise.then(
+        function(result){
+            process.nextTick(function(){
+                callback(null, result);
+            });
+        },
+        function(err){
+            process.nextTick(function(){
+                callback(err, null);
+            });
+        });
+
+    return promise;
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+var diffLines = require('./diff').diffLines;
+
+
+/**
+ * Lines which linesToModules replaces optional block markers with.
+ */
+var startLine = '<optional>',
+    endLine = '</optional>';
+
+
+/**
+ * Folds each top level optional block in lines into a single entry, so a block is aligned as a whole. Returns an
+ * array of { text : string, lines : [ string ], index : integer, optional : boolean }, where index is the position
+ * of the entry's first line in lines. An unclosed block is not folded.
+ */
+function fold(lines){
+    var entries = [];
+
+    for (var i = 0 ; i < lines.length ; i ++){
+        var depth = 0,
+            end = -1;
+
+        if (lines[i] === startLine)
+            for (var j = i ; j < lines.length ; j ++){
+                if (lines[j] === startLine)
+                    depth ++;
+                else if (lines[j] === endLine && -- depth === 0){
+                    end = j;
+                    break;
+                }
+            }
+
+        if (end === -1){
+            entries.push({ text : lines[i], lines : [ lines[i] ], index : i, optional : false });
+            continue;
+        }
+
+        var block = lines.slice(i, end + 1);
+        entries.push({ text : block.join('\n'), lines : block, index : i, optional : true });
+        i = end;
+    }
+
+    return entries;
+}
+
+
+/**
+ * Returns the position in lines of the entry at entryIndex, or the end of lines if entryIndex is past the last entry.
+ */
+function lineIndex(entries, entryIndex, lines){
+    return entryIndex < entries.length ? entries[entryIndex].index : lines.length;
+}
+
+
+/**
+ * Returns true if entry is a folded optional block.
+ */
+function isOptional(entry){
+    return entry.optional;
+}
+
+
+/**
+ * Returns the lines of entries.
+ */
+function expand(entries){
+    return entries.reduce(function(lines, entry){
+        return lines.concat(entry.lines);
+    }, []);
+}
+
+
+/**
+ * Diffs two arrays of flattened lines like diffLines, but treats optional blocks (lines between <optional> and
+ * </optional>) as optional : a block which is present in one array and absent in the other is not a difference. A
+ * block which is present in both is compared line by line, so differing structure when present is still reported.
+ *
+ * @param {array} sourceLines Required.
+ * @param {array} testLines Required.
+ * @return {array} Hunks, see diffLines.
+ */
+function diff(sourceLines, testLines){
+    var sourceEntries = fold(sourceLines),
+        testEntries = fold(testLines),
+        hunks = diffLines(
+            sourceEntries.map(function(entry){ return entry.text; }),
+            testEntries.map(function(entry){ return entry.text; })),
+        result = [];
+
+    for (var i = 0 ; i < hunks.length ; i ++){
+        var hunk = hunks[i],
+            sourceHunk = sourceEntries.slice(hunk.sourceIndex, hunk.sourceIndex + hunk.sourceLines.length),
+            testHunk = testEntries.slice(hunk.testIndex, hunk.testIndex + hunk.testLines.length),
+            sourceIndex = lineIndex(sourceEntries, hunk.sourceIndex, sourceLines),
+            testIndex = lineIndex(testEntries, hunk.testIndex, testLines);
+
+        // blocks present on one side only
+        if (sourceHunk.concat(testHunk).every(isOptional) && (!sourceHunk.length || !testHunk.length))
+            continue;
+
+        // a block present on both sides which differs, compare its contents without the start and end lines
+        if (sourceHunk.length === 1 && testHunk.length === 1 && sourceHunk[0].optional && testHunk[0].optional){
+            result = result.concat(diff(sourceHunk[0].lines.slice(1, -1), testHunk[0].lines.slice(1, -1)).map(function(inner){
+                inner.sourceIndex += sourceIndex + 1;
+                inner.testIndex += testIndex + 1;
+                return inner;
+            }));
+            continue;
+        }
+
+        result.push({
+            type : hunk.type,
+            sourceIndex : sourceIndex,
+            sourceLines : expand(sourceHunk),
+            testIndex : testIndex,
+            testLines : expand(testHunk)
+        });
+    }
+
+    return result;
+}
+
+module.exports.diff = diff;
+module.exports.startLine = startLine;
+module.exports.endLine = endLine;
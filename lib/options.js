@@ -0,0 +1,156 @@
+'use strict';
+
+var _ = require('lodash'),
+    defaults = {
+
+        // encoding for reading/downloading files
+        encoding : 'utf8',
+
+        // milliseconds to wait for an http(s) source before failing
+        timeout : 30000,
+
+        // number of redirects followed for an http(s) source before failing
+        maxRedirects : 5,
+
+        // maximum number of sources, and of files in each glob source, loaded at the same time
+        concurrency : 8,
+
+        // Directory for caching flattened documents. If set, files which haven't changed since the last run and urls
+        // whose ETag hasn't changed are not parsed again.
+        cache : null,
+
+        // if true, results will be written to console directly
+        consoleOut : true,
+
+        // if true, reports only first mismatched hunk in each module.
+        consoleOutFirstErrorOnly : true,
+
+        // Reporter used to output results. Name of a built-in reporter (console, json, junit, tap, diff), or a
+        // function (report, options) which returns a string.
+        reporter : 'console',
+
+        // If set, reporter output is written to this file instead of console.
+        reportFile : null,
+
+        // Format of the module catalog written by catalog() : json, markdown or html. See catalog.js.
+        catalogFormat : 'markdown',
+
+        // Path of a baseline file. If set, modules are compared against the baseline instead of each other.
+        baseline : null,
+
+        // If true, the baseline file is (over)written with the current modules instead of being checked against.
+        updateBaseline : false,
+
+        // If true, the scripts of each page are run in an isolated page before it is flattened, so modules built or
+        // changed by scripts are compared as users see them. See render.js. Rendered documents are not cached.
+        render : false,
+
+        // When a rendered page is ready to be flattened : a CSS selector which must match an element, or a function
+        // (window) which returns true. Functions are run in the page from their source, so they can't use names from
+        // the scope they were written in. If null, a page is ready once it has no timeouts pending.
+        renderReady : null,
+
+        // Milliseconds a rendered page is given to become ready. It is flattened as it is then.
+        renderTimeout : 5000,
+
+        // Hosts scripts can be fetched from when rendering, eg a local dev server. Scripts in local files are always
+        // loaded, scripts on other hosts are skipped.
+        renderHosts : ['localhost', '127.0.0.1'],
+
+        // Milliseconds watch mode waits after a file changes before comparing again, so a burst of saves (or a save
+        // which writes several files) is compared once. See watch().
+        watchDelay : 200,
+
+        // Modules which can't be compared (eg only one instance) are scored against differently named modules, and
+        // reported as likely renamed if their similarity (0 to 1) is at least this. Set to null to disable.
+        similarityThreshold : 0.8,
+
+        // Names of attributes to check for conflicts. If none, all attributes will be checked.
+        // Names can be regex patterns.
+        attributes : [],
+
+        // Names of attributes to leave out, checked after attributes. Names can be regex patterns.
+        excludeAttributes : [],
+
+        // Comparison rules per attribute name, eg { class : { tokens : true, ignoreTokens : ['^is-'] } }. Names can be
+        // regex patterns. A rule can have tokens (compare as unordered set of tokens), ignoreTokens (patterns of tokens
+        // to drop), strip (patterns to remove from the value, or from each token) and presence (ignore the value).
+        attributeRules : {},
+
+        // If true, attributes are compared in name order instead of the order they appear in the markup.
+        sortAttributes : false,
+
+        // if true, text inside nodes will be treated as structure - the text context is ignored, but its presence
+        // will count as a node
+        processInnerText : true,
+
+        // Overrides per module, keyed by module name or glob pattern, eg { 'legacy-*' : { skip : true }, card : {
+        // processInnerText : false } }. An override can have attributes, excludeAttributes, processInnerText,
+        // sortAttributes and collapseRepeats, applied to the module's lines after they are flattened with the options
+        // above, so it can leave out more but not bring back what these leave out. skip : true marks an expected
+        // mismatch, the module is not compared and is reported as skipped. See moduleOptions.js.
+        moduleOptions : {},
+
+        // Start and end tags of an optional block. An optional block which is present in one instance of a module and
+        // absent in another is not a difference. If present in both, its contents are compared.
+        startOptionalRegex : /<!--module!optional-->/,
+        endOptionalRegex : /<!--\/module!optional-->/,
+
+        // Marks the next element, its attributes which match any of the names captured (space or comma separated,
+        // can be regex patterns) are not compared.
+        ignoreAttributesRegex : /<!--module!ignore-attributes:(.*?)\s*-->/,
+
+        // Marks the next element, inner text inside it is not compared.
+        ignoreTextRegex : /<!--module!ignore-text-->/,
+
+        // If true, runs of identical sibling elements are collapsed to a single item before comparing, so lists of
+        // different lengths match. Use repeatRegex to collapse specific lists only.
+        collapseRepeats : false,
+
+        // Marker for lists whose items are collapsed even if collapseRepeats is off. Applies to siblings after the
+        // marker, up to the end of its parent element.
+        repeatRegex : /<!--module!repeat-->/,
+
+        // How modules are delimited in markup. 'comment' : by startModuleRegex/endModuleRegex comments. 'attribute' :
+        // an element with moduleAttribute is a module, made up of that element and its children. 'class' : same, for
+        // an element with a class matching moduleClassRegex.
+        moduleDelimiter : 'comment',
+
+        // Attribute holding the module name, and attribute holding the variant name, in attribute mode.
+        moduleAttribute : 'data-module',
+        moduleVariantAttribute : 'data-module-variant',
+
+        // Class of a module element in class mode, required in that mode. Must return module name, can return a
+        // variant name as a second group. There is no default, as utility classes look like block names.
+        moduleClassRegex : null,
+
+        // Start tag of module. Must be embedded in markup. Must return module name, can return a variant name as a
+        // second group.
+        startModuleRegex : /<!--module:(\S*?)(?:\s+variant:(\S*?))?\s*-->/,
+
+        // End tag of module.
+        endModuleRegex : /<!--\/module-->/,
+
+        // start of ignore block
+        startIgnoreRegex : /<!--module!ignore-->/,
+
+        // end of ignore block
+        endIgnoreRegex : /<!--\/module!ignore-->/
+    };
+
+
+/**
+ * Default options. Do not modify, pass overrides to the function that takes options instead.
+ */
+module.exports.defaults = defaults;
+
+
+/**
+ * Returns a new options object with defaults applied to anything not set in options. Options can be null. Objects are
+ * merged, arrays in options replace the default ones, so items can be removed as well as added.
+ */
+module.exports.resolve = function(options){
+    return _.merge({}, defaults, options || {}, function(value, source){
+        return Array.isArray(source) ? source.slice() : undefined;
+    });
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Runs task for every item, with at most concurrency tasks running at a time.
+ *
+ * @param {array} items Items to pass to task. Required.
+ * @param {number} concurrency Maximum number of tasks running at once. Values below 1 are treated as 1. Required.
+ * @param {function} task (item, index) which returns a Promise. Required.
+ * @return {Promise} Resolves with an array of task results, in the same order as items. Rejects with the first task
+ * error. Tasks already running when a task fails are not cancelled, but their results are ignored.
+ */
+module.exports = function(items, concurrency, task){
+    return new Promise(function(resolve, reject){
+        var results = new Array(items.length),
+            started = 0,
+            finished = 0,
+            failed = false;
+
+        concurrency = Math.max(1, concurrency || 1);
+
+        if (!items.length)
+            return resolve(results);
+
+        function next(){
+            if (failed || started === items.length)
+                return;
+
+            var index = started ++;
+
+            Promise.resolve()
+                .then(function(){ return task(items[index], index); })
+                .then(function(result){
+                    results[index] = result;
+                    finished ++;
+
+                    if (finished === items.length)
+                        resolve(results);
+                    else
+                        next();
+                }, function(err){
+                    failed = true;
+                    reject(err);
+                });
+        }
+
+        for (var i = 0 ; i < concurrency ; i ++)
+            next();
+    });
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+
+/**
+ * Converts a pattern option value (RegExp or regex string) to a RegExp.
+ *
+ * @param {RegExp|string} pattern Pattern. Required.
+ * @return {RegExp}
+ */
+function toRegex(pattern){
+    return pattern instanceof RegExp ? pattern : new RegExp(pattern);
+}
+
+
+/**
+ * Returns true if any of patterns matches text, eg an attribute name against options.attributes.
+ *
+ * @param {array} patterns RegExps or regex strings. Required.
+ * @param {string} text Text to match. Required.
+ * @return {boolean}
+ */
+function matchesAny(patterns, text){
+    for (var i = 0 ; i < patterns.length ; i ++)
+        if (text.match(toRegex(patterns[i])))
+            return true;
+
+    return false;
+}
+
+
+module.exports.toRegex = toRegex;
+module.exports.matchesAny = matchesAny;
@@ -0,0 +1,429 @@
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    url = require('url'),
+    vm = require('vm'),
+    acorn = require('acorn'),
+    jsdom = require('jsdom-no-contextify').jsdom,
+    fetch = require('./fetch');
+
+
+/**
+ * Milliseconds between checks of the ready condition.
+ */
+var pollInterval = 10;
+
+
+/**
+ * Scripts a page is built with, compiled once and run in the context of each page. See compile().
+ */
+var compiled = null;
+
+
+/**
+ * Returns true if a script element is JavaScript, by its type attribute.
+ */
+function isJavaScript(script){
+    var type = (script.getAttribute('type') || '').trim().toLowerCase();
+    return !type || /^(text|application)\/(x-)?(javascript|ecmascript)$/.test(type);
+}
+
+
+/**
+ * Loads the code of a script element. Inline scripts are used as is. A src is resolved against the document's url, or
+ * its file path. Files are read, http(s) urls are fetched only if their host is in options.renderHosts. Resolves with
+ * the code and a name for it, or with null if the script is skipped.
+ */
+function loadScript(script, document, options){
+    var src = script.getAttribute('src');
+
+    if (!src)
+        return Promise.resolve({ code : script.text, name : document.path + ' <script>' });
+
+    var target = document.url ? url.resolve(document.url, src) : src,
+        request = fetch.parseUrl(target);
+
+    if (request){
+        if ((options.renderHosts || []).indexOf(request.host) === -1){
+            console.warn('Skipping script ' + target + ' in ' + document.path + ', host is not in renderHosts.');
+            return Promise.resolve(null);
+        }
+
+        return fetch(request, options).then(function(response){
+            return { code : response.content, name : target };
+        });
+    }
+
+    // scripts of documents read from disk are read from disk too, relative to the document
+    if (document.url || /^[a-z][a-z0-9+.\-]*:/i.test(src)){
+        console.warn('Skipping script ' + src + ' in ' + document.path + ', only local files and renderHosts are loaded.');
+        return Promise.resolve(null);
+    }
+
+    var file = path.join(path.dirname(document.path), src.split(/[?#]/)[0]);
+
+    return new Promise(function(resolve, reject){
+        fs.readFile(file, { encoding : options.encoding }, function(err, code){
+            if (err)
+                return reject({ description : 'Could not read file ' + file, code : 16, inner : err });
+
+            resolve({ code : code, name : file });
+        });
+    });
+}
+
+
+/**
+ * Returns why a script can't be run in a page, or null if it can. import() is resolved by node, which would hand the
+ * page an object made outside its context, so scripts using it are not run. Scripts are parsed rather than searched, so
+ * import in strings, comments or property names doesn't count.
+ */
+function refuse(code){
+    var imports = false;
+
+    try {
+        acorn.parse(code, {
+            ecmaVersion : 'latest',
+            onToken : function(token){
+                imports = imports || token.type === acorn.tokTypes._import;
+            }
+        });
+    } catch (ex){
+        return 'it could not be parsed (' + ex.message + ')';
+    }
+
+    return imports ? 'scripts can\'t import modules' : null;
+}
+
+
+/**
+ * CommonJS require over the modules of a bundle, see compile(). Runs in the page, never in node.
+ */
+function bundleRequire(definitions, global){
+    var modules = {};
+
+    return function require(name){
+        name = name.replace(/^\.\//, '').replace(/\.js$/, '');
+
+        // a module required while it runs gets its exports so far, as in node
+        if (!Object.prototype.hasOwnProperty.call(modules, name)){
+            var module = modules[name] = { exports : {} };
+            definitions[name].call(module.exports, module.exports, require, module, global);
+        }
+
+        return modules[name].exports;
+    };
+}
+
+
+/**
+ * Sets up the globals of a page before its DOM is loaded : timers, which are tracked so they can be waited for and
+ * stopped, and a console which drops page logging, as it would mix with reporter output. Returns the controls render()
+ * drives the page with. Runs in the page, never in node, so everything it makes belongs to the page.
+ *
+ * Timers are run by tick(), which render() calls from its own timer. String callbacks are ignored, as code can't be
+ * compiled from strings in the page.
+ */
+function pageGlobals(global){
+    var timers = {},
+        lastId = 0,
+        window = null,
+        document = null,
+        ignore = function(){};
+
+    var timer = function(repeat){
+        return function(callback, delay){
+            if (typeof callback !== 'function')
+                return 0;
+
+            delay = Math.max(Number(delay) || 0, 0);
+            lastId ++;
+            timers[lastId] = {
+                id : lastId,
+                callback : callback,
+                args : Array.prototype.slice.call(arguments, 2),
+                delay : delay,
+                due : Date.now() + delay,
+                repeat : repeat
+            };
+
+            return lastId;
+        };
+    };
+
+    var clear = function(id){
+        delete timers[id];
+    };
+
+    var dispatch = function(target, type){
+        var event = document.createEvent('Event');
+        event.initEvent(type, type === 'DOMContentLoaded', false);
+        target.dispatchEvent(event);
+    };
+
+    global.setTimeout = timer(false);
+    global.setInterval = timer(true);
+    global.clearTimeout = clear;
+    global.clearInterval = clear;
+    global.requestAnimationFrame = function(callback){ return global.setTimeout(callback, 16, Date.now()); };
+    global.cancelAnimationFrame = clear;
+    global.console = { log : ignore, info : ignore, warn : ignore, error : ignore, debug : ignore };
+
+    return {
+
+        // globals are those of the window, methods are bound to it and constructors are kept as they are so instanceof
+        // works. Top level names, window and this are the same object in the page.
+        load : function(domino, html, address){
+            window = domino.createWindow(html, address);
+            document = window.document;
+
+            for (var proto = window ; proto && proto !== Object.prototype ; proto = Object.getPrototypeOf(proto)){
+                Object.getOwnPropertyNames(proto).forEach(function(key){
+                    var own = Object.prototype.hasOwnProperty.call(global, key);
+                    if (own || key === 'constructor' || key.charAt(0) === '_')
+                        return;
+
+                    var value = window[key];
+                    global[key] = typeof value === 'function' && /^[a-z]/.test(key) ? value.bind(window) : value;
+                });
+            }
+
+            global.window = global.self = global.top = global.parent = global.frames = global;
+        },
+
+        loaded : function(){
+            dispatch(document, 'DOMContentLoaded');
+            dispatch(window, 'load');
+
+            // window.onload set by a script is a global of the page, not a property of the window
+            if (typeof global.onload === 'function' && global.onload !== window.onload)
+                global.onload();
+        },
+
+        // runs the timers which are due, those they set are run on a later tick. Returns the number of timeouts still
+        // pending, intervals never finish so they aren't counted.
+        tick : function(){
+            var now = Date.now(),
+                due = Object.keys(timers).map(function(id){
+                    return timers[id];
+                }).filter(function(timer){
+                    return timer.due <= now;
+                }).sort(function(a, b){
+                    return a.due - b.due || a.id - b.id;
+                });
+
+            due.forEach(function(timer){
+                // cleared by a timer run before it
+                if (timers[timer.id] !== timer)
+                    return;
+
+                if (timer.repeat)
+                    timer.due = now + Math.max(timer.delay, 1);
+                else
+                    delete timers[timer.id];
+
+                try {
+                    timer.callback.apply(global, timer.args);
+                } catch (ex){
+                    // a failing timer doesn't stop the page, as in a browser
+                }
+            });
+
+            return Object.keys(timers).filter(function(id){ return !timers[id].repeat; }).length;
+        },
+
+        matches : function(selector){
+            return !!document.querySelector(selector);
+        },
+
+        check : function(ready){
+            return !!ready(global);
+        },
+
+        stop : function(){
+            timers = {};
+        },
+
+        serialize : function(){
+            var doctype = document.doctype ? '<!DOCTYPE ' + document.doctype.name + '>' : '';
+            return doctype + document.documentElement.outerHTML;
+        }
+    };
+}
+
+
+/**
+ * Compiles the scripts pages are built with, once : the page globals (see pageGlobals) and domino, a DOM written in
+ * JavaScript. domino's modules are bundled into one script with their own require (see bundleRequire).
+ */
+function compile(){
+    if (compiled)
+        return compiled;
+
+    var dir = path.dirname(require.resolve('domino')),
+        definitions = fs.readdirSync(dir).filter(function(file){
+            return /\.js$/.test(file);
+        }).map(function(file){
+            return JSON.stringify(file.replace(/\.js$/, '')) + ' : function(exports, require, module, global){\n' +
+                fs.readFileSync(path.join(dir, file), 'utf8') + '\n}';
+        });
+
+    compiled = {
+        globals : new vm.Script('(' + pageGlobals + ')(this)', { filename : 'markupdiff-page.js' }),
+        domino : new vm.Script('(' + bundleRequire + ')({\n' + definitions.join(',\n') + '\n}, this)("index")',
+            { filename : 'domino.js' })
+    };
+
+    return compiled;
+}
+
+
+/**
+ * Creates the vm context a page's scripts run in, and loads the document's markup into it. Returns { context :
+ * object, controls : object }, see pageGlobals for controls.
+ *
+ * The context's global is made from an object with no prototype, and the DOM and everything else in the page is made
+ * by scripts run in the context, so nothing scripts can reach leads to a constructor from node. Only strings are
+ * passed in. Code can't be compiled from strings in the page (eval, new Function), and scripts are checked for
+ * import() before they are run, see refuse().
+ */
+function createPage(document){
+    var scripts = compile(),
+        context = vm.createContext(Object.create(null), { codeGeneration : { strings : false, wasm : false } }),
+        controls = scripts.globals.runInContext(context);
+
+    controls.load(scripts.domino.runInContext(context), document.content, document.url || 'about:blank');
+
+    return { context : context, controls : controls };
+}
+
+
+/**
+ * Calls one of a page's controls, and returns what it returns, or undefined if it throws. Scripts can change the
+ * builtins controls use, so any of them can throw, as a failing script would.
+ */
+function call(page, control, arg){
+    try {
+        return page.controls[control](arg);
+    } catch (ex){
+        return undefined;
+    }
+}
+
+
+/**
+ * Returns the ready condition of a page : options.renderReady if it is a CSS selector, or a function compiled in the
+ * page from the source of options.renderReady, so it is given the page's window without node's objects being handed
+ * to the page. It can't use names from the scope it was written in. Returns null if renderReady is not set, or
+ * doesn't compile.
+ */
+function readyCondition(page, options){
+    var ready = options.renderReady;
+
+    if (typeof ready !== 'function')
+        return ready || null;
+
+    try {
+        return new vm.Script('(' + ready + ')').runInContext(page.context);
+    } catch (ex){
+        console.warn('Could not compile renderReady in the page : ' + ex.message);
+        return null;
+    }
+}
+
+
+/**
+ * Returns true if the page is ready : ready (see readyCondition) is a CSS selector which matches an element, or a
+ * function (window) which returns true. With no ready condition, the page is ready once it has no timeouts pending.
+ */
+function isReady(page, ready, pending){
+    if (typeof ready === 'string')
+        return call(page, 'matches', ready) === true;
+
+    if (ready)
+        return call(page, 'check', ready) === true;
+
+    return pending === 0;
+}
+
+
+/**
+ * Builds a document's DOM and runs its scripts in a separate vm context, so the DOM is what a browser would show once
+ * the scripts are done. Inline scripts and scripts from local files are run in document order, scripts from http(s)
+ * urls only if their host is in options.renderHosts (eg a local server). For documents loaded from a url, relative
+ * script urls are resolved against the document's url instead, and have to be on an allowed host too. Scripts which
+ * fail, or can't be loaded, are skipped as a browser would.
+ *
+ * Once scripts have run, DOMContentLoaded and load are dispatched, and the page is given until options.renderTimeout
+ * milliseconds to become ready (see options.renderReady). Timers still pending then are stopped, and the DOM is used
+ * as it is. A warning is written if a ready condition was set but not met.
+ *
+ * The page's DOM is domino's, made inside the context (see createPage), so scripts only reach objects of the page.
+ * Scripts which use import(), eval or new Function, and inline event handler attributes, don't run. The page is
+ * serialized once rendered, and parsed again outside the context, so the DOM flattened is not one scripts can reach.
+ *
+ * @param {object} document Document as returned by loadSource, with content set. Required.
+ * @param {object} options Resolved MarkupDiff options. Required.
+ * @return {Promise} Resolves with the DOM document once rendered.
+ */
+module.exports = function(document, options){
+    var elements = jsdom(document.content).getElementsByTagName('script'),
+        scripts = Array.prototype.slice.call(elements).filter(isJavaScript),
+        page = null;
+
+    // scripts are loaded concurrently, and run one at a time in document order
+    var loaded = scripts.map(function(script){
+        return loadScript(script, document, options).catch(function(err){
+            console.warn('Skipping script in ' + document.path + ' : ' + err.description);
+            return null;
+        });
+    });
+
+    // the page is only created and run from callbacks, so the caller's functions are never on the stack while page
+    // code runs
+    return loaded.reduce(function(previous, script){
+        return previous.then(function(){
+            return script;
+        }).then(function(script){
+            page = page || createPage(document);
+
+            if (!script)
+                return;
+
+            var refused = refuse(script.code);
+            if (refused)
+                return console.warn('Skipping script ' + script.name + ', ' + refused + '.');
+
+            try {
+                new vm.Script(script.code, { filename : script.name })
+                    .runInContext(page.context, { timeout : options.renderTimeout });
+            } catch (ex){
+                // a failing script doesn't stop the page, as in a browser
+            }
+        });
+    }, Promise.resolve()).then(function(){
+        page = page || createPage(document);
+        call(page, 'loaded');
+
+        var deadline = Date.now() + options.renderTimeout,
+            ready = readyCondition(page, options);
+
+        return new Promise(function(resolve){
+            (function wait(){
+                var done = isReady(page, ready, call(page, 'tick'));
+
+                if (!done && Date.now() < deadline)
+                    return setTimeout(wait, pollInterval);
+
+                call(page, 'stop');
+
+                if (!done && options.renderReady)
+                    console.warn('Rendering ' + document.path + ' timed out after ' + options.renderTimeout + 'ms, its DOM is used as it is.');
+
+                var html = call(page, 'serialize');
+                resolve(jsdom(typeof html === 'string' ? html : ''));
+            })();
+        });
+    });
+};
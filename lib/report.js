@@ -0,0 +1,159 @@
+'use strict';
+
+var fs = require('fs'),
+    reporters = require('./reporters');
+
+
+/**
+ * Version of the report schema. Increment when the shape of the object returned by build() changes.
+ */
+var version = 1;
+
+
+/**
+ * Converts modules and compareModules results into a report, which is what reporters consume. The report schema is
+ * stable, and is versioned with its version field :
+ *
+ *   {
+ *     version : 1,
+ *     summary : { modules : integer, pairs : integer, failures : integer, warnings : integer },
+ *     tree : { path : [ { module : string, instance : string, children : [ ... ] } ] },
+ *     similar : [ { module : string, instance : string, similar : string, similarInstance : string, score : number } ],
+ *     changes : { from : string, to : string, changed : [ string ], added : [ string ], removed : [ string ],
+ *                 unchanged : [ string ] } | null,
+ *     modules : [
+ *       {
+ *         name : string,
+ *         instances : [ string ],
+ *         lines : { instance : [ string ] },
+ *         warning : string | null,
+ *         pairs : [
+ *           {
+ *             source : string,
+ *             test : string,
+ *             passed : boolean,
+ *             differences : [
+ *               {
+ *                 type : 'added' | 'removed' | 'changed',
+ *                 source : { line : integer, lines : [ string ], location : object | null },
+ *                 test : { line : integer, lines : [ string ], location : object | null }
+ *               }
+ *             ]
+ *           }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * A pair is one instance of a module compared against another. Paths in instances, source and test are the path of
+ * the document the instance was found in. lines holds the flattened lines of each instance, keyed by path. tree is the
+ * nesting of modules in each document, as returned by linesToModules. similar lists modules which could not be
+ * compared, but closely match a module with another name, see compare(). changes is set when comparing git revisions,
+ * see compareRevisions(). line is the position of a difference in the
+ * instance's flattened lines, location its position in the source markup if known : { file : string, line : integer,
+ * column : integer, domPath : string }, see compare().
+ *
+ * @param {object} modules Modules as returned by linesToModules. Required.
+ * @param {object} results Results as returned by compareModules. Required.
+ * @param {object} tree Nesting tree as returned by linesToModules. Optional.
+ * @return {object} Report as above.
+ */
+module.exports.build = function(modules, results, tree){
+    var report = {
+            version : version,
+            summary : { modules : 0, pairs : 0, failures : 0, warnings : 0 },
+            tree : tree || {},
+            similar : results.similar || [],
+            changes : results.changes || null,
+            modules : []
+        };
+
+    for (var name in modules){
+        var instances = Object.keys(modules[name]),
+            errors = results.errors[name] || {},
+            warning = results.warnings[name],
+            module = {
+                name : name,
+                instances : instances,
+                lines : modules[name],
+                warning : warning ? warning.description : null,
+                pairs : []
+            };
+
+        report.modules.push(module);
+        report.summary.modules ++;
+
+        if (warning){
+            report.summary.warnings ++;
+            continue;
+        }
+
+        // pairs are in the order they were compared in
+        for (var i = 0 ; i < results.comparisons.length ; i ++){
+            var comparison = results.comparisons[i];
+            if (comparison.module !== name)
+                continue;
+
+            var pair = {
+                    source : comparison.source,
+                    test : comparison.test,
+                    passed : true,
+                    differences : []
+                };
+
+            var compared = errors[pair.test] || [];
+            for (var j = 0 ; j < compared.length ; j ++){
+                var error = compared[j];
+                if (error.source.path !== pair.source)
+                    continue;
+
+                pair.differences.push({
+                    type : error.type,
+                    source : { line : error.source.line, lines : error.source.src, location : error.source.location || null },
+                    test : { line : error.test.line, lines : error.test.src, location : error.test.location || null }
+                });
+            }
+
+            pair.passed = !pair.differences.length;
+            module.pairs.push(pair);
+
+            report.summary.pairs ++;
+            if (!pair.passed)
+                report.summary.failures ++;
+        }
+    }
+
+    return report;
+};
+
+
+/**
+ * Runs the reporter set in options, and writes its output to options.reportFile, or to console if no file is set and
+ * options.consoleOut is true.
+ *
+ * options.reporter can be the name of a built-in reporter (console, json, junit, tap, diff) or a function
+ * (report, options) which returns a string.
+ *
+ * @param {object} modules Modules as returned by linesToModules. Required.
+ * @param {object} results Results as returned by compareModules. Required.
+ * @param {object} options Resolved MarkupDiff options. Required.
+ * @param {object} tree Nesting tree as returned by linesToModules. Optional.
+ * @return {string} Reporter output.
+ * @throws {object} Error object (code 8) if reporter is unknown.
+ */
+module.exports.write = function(modules, results, options, tree){
+    var reporter = typeof options.reporter === 'function' ? options.reporter :
+        reporters.hasOwnProperty(options.reporter) ? reporters[options.reporter] : null;
+
+    if (!reporter)
+        throw { description : 'Unknown reporter "' + options.reporter + '"', code : 8 };
+
+    var output = reporter(module.exports.build(modules, results, tree), options);
+
+    if (options.reportFile)
+        fs.writeFileSync(options.reportFile, output, { encoding : options.encoding });
+    else if (options.consoleOut)
+        console.log(output);
+
+    return output;
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+var colors = require('colors'),
+    formatLocation = require('../locations').format;
+
+
+/**
+ * Returns the path of an instance and where in its source markup a difference is, if known.
+ */
+function where(instance, location){
+    if (!location)
+        return instance;
+
+    return location.file === instance ? formatLocation(location) : instance + ' at ' + formatLocation(location);
+}
+
+
+/**
+ * Human-readable, colored report. Shows only the first difference in each module if options.consoleOutFirstErrorOnly
+ * is set.
+ */
+module.exports = function(report, options){
+    var out = [],
+        failed = report.modules.filter(function(module){
+            return module.pairs.some(function(pair){ return !pair.passed; });
+        });
+
+    out.push(('Found ' + report.modules.length + ' module(s).').green);
+
+    // summary of modules changed between git revisions
+    if (report.changes){
+        var changes = report.changes;
+        out.push('Modules changed between ' + changes.from + ' and ' + changes.to + ' : ' + (changes.changed.join(', ') || 'none'));
+
+        if (changes.added.length)
+            out.push('Modules added : ' + changes.added.join(', '));
+
+        if (changes.removed.length)
+            out.push('Modules removed : ' + changes.removed.join(', '));
+    }
+
+    // modules which could not be compared, but look like renamed copies of other modules
+    report.similar.forEach(function(match){
+        out.push(('Module "' + match.module + '" closely matches "' + match.similar + '" (' + Math.round(match.score * 100) +
+            '%), it may have been renamed or duplicated.').yellow);
+    });
+
+    if (!failed.length){
+        out.push(('No mismatches detected.').green);
+        return out.join('\n');
+    }
+
+    out.push('Detected the following mismatches : ');
+
+    for (var i = 0 ; i < failed.length ; i ++){
+        var module = failed[i],
+            differences = [];
+
+        module.pairs.forEach(function(pair){
+            pair.differences.forEach(function(difference){
+                differences.push({ pair : pair, difference : difference });
+            });
+        });
+
+        for (var j = 0 ; j < differences.length ; j ++){
+            var pair = differences[j].pair,
+                difference = differences[j].difference;
+
+            // if configured, show first error in module only
+            if (options.consoleOutFirstErrorOnly && j > 0){
+                out.push((module.name + ' - additional errors suppressed').red);
+                break;
+            }
+
+            out.push('');
+            out.push(('module ' + module.name + ', ' + difference.type + ' at line ' + difference.source.line + ' / ' + difference.test.line).red);
+
+            // show paths and where in markup the difference is, then source code
+            out.push(where(pair.source, difference.source.location));
+            for (var k = 0 ; k < difference.source.lines.length ; k ++)
+                out.push(('- ' + difference.source.lines[k]).yellow);
+
+            out.push(where(pair.test, difference.test.location));
+            for (var k = 0 ; k < difference.test.lines.length ; k ++)
+                out.push(('+ ' + difference.test.lines[k]).yellow);
+        }
+    }
+
+    return out.join('\n');
+};
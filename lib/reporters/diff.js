@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Converts a difference's position to unified diff range notation. A range with no lines refers to the line before the
+ * hunk, as in diff -U0.
+ */
+function range(side){
+    var count = side.lines.length,
+        start = count ? side.line : side.line - 1;
+
+    return start + ',' + count;
+}
+
+
+/**
+ * Formats a single compared pair as unified diff text, without context lines. Returns empty string if pair passed.
+ */
+function pairToDiff(module, pair){
+    if (pair.passed)
+        return '';
+
+    var out = [
+        '--- ' + pair.source + ' (' + module.name + ')',
+        '+++ ' + pair.test + ' (' + module.name + ')'
+    ];
+
+    for (var i = 0 ; i < pair.differences.length ; i ++){
+        var difference = pair.differences[i];
+
+        out.push('@@ -' + range(difference.source) + ' +' + range(difference.test) + ' @@');
+
+        for (var j = 0 ; j < difference.source.lines.length ; j ++)
+            out.push('-' + difference.source.lines[j]);
+
+        for (var j = 0 ; j < difference.test.lines.length ; j ++)
+            out.push('+' + difference.test.lines[j]);
+    }
+
+    return out.join('\n') + '\n';
+}
+
+
+/**
+ * Unified diff of the flattened lines of every mismatched module pair. Line numbers refer to flattened lines. Returns
+ * an empty string if there are no mismatches.
+ */
+module.exports = function(report){
+    var out = '';
+
+    for (var i = 0 ; i < report.modules.length ; i ++)
+        for (var j = 0 ; j < report.modules[i].pairs.length ; j ++)
+            out += pairToDiff(report.modules[i], report.modules[i].pairs[j]);
+
+    return out;
+};
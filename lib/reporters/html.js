@@ -0,0 +1,236 @@
+'use strict';
+
+var escape = require('./xml').escape,
+    optional = require('../optional'),
+    style = [
+        'body { font-family: sans-serif; margin: 2em; color: #222; }',
+        'h1 { font-size: 1.4em; }',
+        'details { border: 1px solid #ddd; border-radius: 3px; margin-bottom: .5em; }',
+        'summary { padding: .5em; cursor: pointer; }',
+        'details > div { padding: 0 .5em .5em; }',
+        '.badge { display: inline-block; min-width: 4em; padding: .1em .4em; margin-right: .5em; border-radius: 3px; color: #fff; font-size: .8em; text-align: center; text-transform: uppercase; }',
+        '.pass { background: #2a8a3a; }',
+        '.fail { background: #c0392b; }',
+        '.warning { background: #d68910; }',
+        '.instances { font-size: .9em; color: #555; }',
+        '.message { color: #a05a00; }',
+        'table { border-collapse: collapse; width: 100%; margin: .5em 0 1em; table-layout: fixed; }',
+        'th { text-align: left; font-weight: normal; font-size: .9em; background: #f4f4f4; padding: .3em; word-wrap: break-word; }',
+        'td { font-family: monospace; font-size: .85em; white-space: pre-wrap; vertical-align: top; padding: 0 .3em; word-wrap: break-word; }',
+        'td.number { width: 3em; color: #999; text-align: right; }',
+        '.added { background: #e6ffed; }',
+        '.removed { background: #ffeef0; }',
+        '.changed { background: #fff5b1; }'
+    ].join('\n');
+
+
+/**
+ * Indents flattened lines by element depth, so the structure is readable.
+ */
+function indent(lines){
+    var depth = 0;
+
+    return lines.map(function(line){
+        if (line.indexOf('</') === 0)
+            depth = Math.max(depth - 1, 0);
+
+        var indented = new Array(depth + 1).join('  ') + line;
+
+        if (line.indexOf('<') === 0 && line.indexOf('</') !== 0 && line.indexOf('<!--') !== 0 && !/\/>$/.test(line))
+            depth ++;
+
+        return indented;
+    });
+}
+
+
+/**
+ * Returns the index of the line after the optional block which starts at index in lines, or index if there is no block
+ * there.
+ */
+function skipOptional(lines, index){
+    if (lines[index] !== optional.startLine)
+        return index;
+
+    for (var depth = 0 ; index < lines.length ; index ++){
+        if (lines[index] === optional.startLine)
+            depth ++;
+        else if (lines[index] === optional.endLine && -- depth === 0)
+            return index + 1;
+    }
+
+    return index;
+}
+
+
+/**
+ * Adds rows for the lines between differences, source lines i to sourceEnd and test lines j to testEnd. These are the
+ * same on both sides, except for optional blocks present on one side only, which get a row of their own on that side.
+ * Returns [ i, j ] at the end.
+ */
+function alignSame(rows, sourceLines, testLines, i, sourceEnd, j, testEnd){
+    while (i < sourceEnd || j < testEnd){
+        var same = i < sourceEnd && j < testEnd && sourceLines[i] === testLines[j],
+            sourceSkip = i < sourceEnd && !same ? Math.min(skipOptional(sourceLines, i), sourceEnd) : i,
+            testSkip = j < testEnd && !same ? Math.min(skipOptional(testLines, j), testEnd) : j;
+
+        if (sourceSkip > i)
+            for ( ; i < sourceSkip ; i ++)
+                rows.push({ type : null, source : i, test : null });
+        else if (testSkip > j)
+            for ( ; j < testSkip ; j ++)
+                rows.push({ type : null, source : null, test : j });
+        else {
+            rows.push({ type : null, source : i < sourceEnd ? i : null, test : j < testEnd ? j : null });
+
+            if (i < sourceEnd)
+                i ++;
+            if (j < testEnd)
+                j ++;
+        }
+    }
+
+    return [i, j];
+}
+
+
+/**
+ * Aligns a pair's source and test lines into rows for side-by-side display, using the pair's differences. Each row is
+ * { type : null | 'added' | 'removed' | 'changed', source : index | null, test : index | null }, where indexes are
+ * 0-based positions in each instance's lines. Optional blocks present on one side only are not differences (see
+ * optional.js), and are shown on their side only.
+ */
+function alignPair(pair, sourceLines, testLines){
+    var rows = [],
+        i = 0,
+        j = 0;
+
+    for (var k = 0 ; k < pair.differences.length ; k ++){
+        var difference = pair.differences[k],
+            aligned = alignSame(rows, sourceLines, testLines, i, difference.source.line - 1, j, difference.test.line - 1);
+
+        i = aligned[0];
+        j = aligned[1];
+
+        var count = Math.max(difference.source.lines.length, difference.test.lines.length);
+        for (var l = 0 ; l < count ; l ++)
+            rows.push({
+                type : difference.type,
+                source : l < difference.source.lines.length ? i + l : null,
+                test : l < difference.test.lines.length ? j + l : null
+            });
+
+        i += difference.source.lines.length;
+        j += difference.test.lines.length;
+    }
+
+    alignSame(rows, sourceLines, testLines, i, sourceLines.length, j, testLines.length);
+    return rows;
+}
+
+
+/**
+ * Renders a side-by-side table of a pair's flattened lines, with differing lines marked.
+ */
+function renderPair(module, pair){
+    var sourceLines = indent(module.lines[pair.source]),
+        testLines = indent(module.lines[pair.test]),
+        rows = alignPair(pair, module.lines[pair.source], module.lines[pair.test]),
+        out = [
+            '<table>',
+            '<tr><th colspan="2">' + escape(pair.source) + '</th><th colspan="2">' + escape(pair.test) + '</th></tr>'
+        ];
+
+    for (var i = 0 ; i < rows.length ; i ++){
+        var row = rows[i],
+            css = row.type ? ' class="' + row.type + '"' : '';
+
+        out.push('<tr' + css + '>' +
+            '<td class="number">' + (row.source === null ? '' : row.source + 1) + '</td>' +
+            '<td>' + (row.source === null ? '' : escape(sourceLines[row.source])) + '</td>' +
+            '<td class="number">' + (row.test === null ? '' : row.test + 1) + '</td>' +
+            '<td>' + (row.test === null ? '' : escape(testLines[row.test])) + '</td>' +
+            '</tr>');
+    }
+
+    out.push('</table>');
+    return out.join('\n');
+}
+
+
+/**
+ * Renders the flattened lines of a single module instance.
+ */
+function renderInstance(module, instance){
+    var lines = indent(module.lines[instance]),
+        out = ['<table>', '<tr><th colspan="2">' + escape(instance) + '</th></tr>'];
+
+    for (var i = 0 ; i < lines.length ; i ++)
+        out.push('<tr><td class="number">' + (i + 1) + '</td><td>' + escape(lines[i]) + '</td></tr>');
+
+    out.push('</table>');
+    return out.join('\n');
+}
+
+
+/**
+ * Renders a module as a collapsible section with a pass/fail/warning badge. Failed modules are expanded, and show a
+ * side-by-side view of each failed pair. Passed and warned modules show their first instance's structure.
+ */
+function renderModule(module){
+    var failed = module.pairs.filter(function(pair){ return !pair.passed; }),
+        status = module.warning ? 'warning' : failed.length ? 'fail' : 'pass',
+        out = [
+            '<details' + (status === 'fail' ? ' open' : '') + '>',
+            '<summary><span class="badge ' + status + '">' + status + '</span><strong>' + escape(module.name) + '</strong> ' +
+                '<span class="instances">' + module.instances.length + ' instance(s)' +
+                (failed.length ? ', ' + failed.length + ' of ' + module.pairs.length + ' pair(s) differ' : '') + '</span></summary>',
+            '<div>',
+            '<ul class="instances">'
+        ];
+
+    for (var i = 0 ; i < module.instances.length ; i ++)
+        out.push('<li>' + escape(module.instances[i]) + '</li>');
+
+    out.push('</ul>');
+
+    if (module.warning)
+        out.push('<p class="message">' + escape(module.warning) + '</p>');
+
+    if (failed.length)
+        for (var i = 0 ; i < failed.length ; i ++)
+            out.push(renderPair(module, failed[i]));
+    else
+        out.push(renderInstance(module, module.instances[0]));
+
+    out.push('</div>', '</details>');
+    return out.join('\n');
+}
+
+
+/**
+ * Self-contained HTML page listing every module with its instances and status, and a side-by-side view of the
+ * flattened structure of mismatched instances. Write it to a file with the reportFile option.
+ */
+module.exports = function(report){
+    var summary = report.summary,
+        out = [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<title>MarkupDiff report</title>',
+            '<style>', style, '</style>',
+            '</head>',
+            '<body>',
+            '<h1>MarkupDiff report</h1>',
+            '<p>' + summary.modules + ' module(s), ' + summary.pairs + ' compared pair(s), ' + summary.failures +
+                ' failure(s), ' + summary.warnings + ' warning(s).</p>'
+        ];
+
+    for (var i = 0 ; i < report.modules.length ; i ++)
+        out.push(renderModule(report.modules[i]));
+
+    out.push('</body>', '</html>');
+    return out.join('\n');
+};
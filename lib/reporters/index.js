@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * Built-in reporters. A reporter is a function (report, options) which returns a string, where report is the object
+ * returned by report.build().
+ */
+module.exports = {
+    console : require('./console'),
+    json : require('./json'),
+    junit : require('./junit'),
+    tap : require('./tap'),
+    diff : require('./diff'),
+    html : require('./html')
+};
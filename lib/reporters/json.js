@@ -0,0 +1,8 @@
+'use strict';
+
+/**
+ * Report as JSON. The schema is described in report.build(), and is versioned with the report's version field.
+ */
+module.exports = function(report){
+    return JSON.stringify(report, null, 2);
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+var escape = require('./xml').escape;
+
+
+/**
+ * Describes a pair's differences as plain text, for a failure body.
+ */
+function describeDifferences(pair){
+    var out = [];
+
+    for (var i = 0 ; i < pair.differences.length ; i ++){
+        var difference = pair.differences[i];
+
+        out.push(difference.type + ' at line ' + difference.source.line + ' / ' + difference.test.line);
+
+        for (var j = 0 ; j < difference.source.lines.length ; j ++)
+            out.push('- ' + difference.source.lines[j]);
+
+        for (var j = 0 ; j < difference.test.lines.length ; j ++)
+            out.push('+ ' + difference.test.lines[j]);
+    }
+
+    return out.join('\n');
+}
+
+
+/**
+ * JUnit XML report. Each module is a testsuite, and each compared pair of module instances a testcase. Modules with
+ * warnings (eg, only one instance) are reported as a single skipped testcase.
+ */
+module.exports = function(report){
+    var out = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites name="markupDiff" tests="' + (report.summary.pairs + report.summary.warnings) + '" failures="' +
+            report.summary.failures + '" skipped="' + report.summary.warnings + '">'
+    ];
+
+    for (var i = 0 ; i < report.modules.length ; i ++){
+        var module = report.modules[i],
+            failures = module.pairs.filter(function(pair){ return !pair.passed; }).length,
+            tests = module.warning ? 1 : module.pairs.length;
+
+        out.push('  <testsuite name="' + escape(module.name) + '" tests="' + tests + '" failures="' + failures + '"' +
+            (module.warning ? ' skipped="1"' : '') + '>');
+
+        if (module.warning){
+            out.push('    <testcase classname="markupDiff.' + escape(module.name) + '" name="' + escape(module.instances[0]) + '">');
+            out.push('      <skipped message="' + escape(module.warning) + '"/>');
+            out.push('    </testcase>');
+        }
+
+        for (var j = 0 ; j < module.pairs.length ; j ++){
+            var pair = module.pairs[j],
+                name = escape(pair.source + ' vs ' + pair.test);
+
+            if (pair.passed){
+                out.push('    <testcase classname="markupDiff.' + escape(module.name) + '" name="' + name + '"/>');
+                continue;
+            }
+
+            out.push('    <testcase classname="markupDiff.' + escape(module.name) + '" name="' + name + '">');
+            out.push('      <failure message="' + pair.differences.length + ' difference(s)">' + escape(describeDifferences(pair)) + '</failure>');
+            out.push('    </testcase>');
+        }
+
+        out.push('  </testsuite>');
+    }
+
+    out.push('</testsuites>');
+    return out.join('\n');
+};
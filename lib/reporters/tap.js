@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * TAP version 13 report. Each compared pair of module instances is a test, modules with warnings are skipped tests.
+ * Differences are listed in a YAML block under failed tests.
+ */
+module.exports = function(report){
+    var out = ['TAP version 13'],
+        count = 0;
+
+    for (var i = 0 ; i < report.modules.length ; i ++){
+        var module = report.modules[i];
+
+        if (module.warning){
+            count ++;
+            out.push('ok ' + count + ' - ' + module.name + ' # SKIP ' + module.warning);
+            continue;
+        }
+
+        for (var j = 0 ; j < module.pairs.length ; j ++){
+            var pair = module.pairs[j],
+                description = module.name + ': ' + pair.source + ' vs ' + pair.test;
+
+            count ++;
+
+            if (pair.passed){
+                out.push('ok ' + count + ' - ' + description);
+                continue;
+            }
+
+            out.push('not ok ' + count + ' - ' + description);
+            out.push('  ---');
+            out.push('  differences:');
+
+            for (var k = 0 ; k < pair.differences.length ; k ++){
+                var difference = pair.differences[k];
+                out.push('    - type: ' + difference.type);
+                out.push('      source: { line: ' + difference.source.line + ', lines: ' + JSON.stringify(difference.source.lines) + ' }');
+                out.push('      test: { line: ' + difference.test.line + ', lines: ' + JSON.stringify(difference.test.lines) + ' }');
+            }
+
+            out.push('  ...');
+        }
+    }
+
+    out.push('1..' + count);
+    return out.join('\n');
+};
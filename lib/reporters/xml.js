@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Escapes text for use in XML attribute values and text nodes.
+ */
+module.exports.escape = function(text){
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+var comparePair = require('./compareModules').comparePair;
+
+
+/**
+ * Compares the modules of two git revisions of the same files. Instances of a module are compared with the instance
+ * in the same file (and position in the file) at the other revision, not with every other instance. Instances are
+ * keyed "revision:file", see git.js.
+ *
+ * Returns results as compareModules does, with changes added :
+ *
+ *      changes : {
+ *          from : string,
+ *          to : string,
+ *          changed : [ string ],
+ *          added : [ string ],
+ *          removed : [ string ],
+ *          unchanged : [ string ]
+ *      }
+ *
+ * where each list holds module names. A module is changed if an instance differs between the revisions, or if it
+ * was added to or removed from a file while being in other files at both revisions. Added and removed modules are
+ * also warned about, as they have nothing to be compared with.
+ *
+ * @param {object} modules Modules from both revisions, as returned by linesToModules. Required.
+ * @param {string} from Earlier revision. Required.
+ * @param {string} to Later revision. Required.
+ * @return {object} Results
+ */
+module.exports.check = function(modules, from, to){
+    var results = {
+            errors : {},
+            warnings : {},
+            comparisons : [],
+            changes : { from : from, to : to, changed : [], added : [], removed : [], unchanged : [] }
+        },
+        files = function(module, revision){
+            var prefix = revision + ':';
+            return Object.keys(module).filter(function(instance){
+                return instance.indexOf(prefix) === 0;
+            }).map(function(instance){
+                return instance.substr(prefix.length);
+            });
+        };
+
+    for (var name in modules){
+        var fromFiles = files(modules[name], from),
+            toFiles = files(modules[name], to),
+            moved = false;
+
+        if (!fromFiles.length){
+            results.changes.added.push(name);
+            results.warnings[name] = { description : 'Module "' + name + '" was added in ' + to + '.', path : to + ':' + toFiles[0] };
+            continue;
+        }
+
+        if (!toFiles.length){
+            results.changes.removed.push(name);
+            results.warnings[name] = { description : 'Module "' + name + '" was removed in ' + to + '.', path : from + ':' + fromFiles[0] };
+            continue;
+        }
+
+        for (var i = 0 ; i < toFiles.length ; i ++){
+            if (fromFiles.indexOf(toFiles[i]) === -1){
+                moved = true;
+                continue;
+            }
+
+            comparePair(results, name, from + ':' + toFiles[i], modules[name][from + ':' + toFiles[i]],
+                to + ':' + toFiles[i], modules[name][to + ':' + toFiles[i]]);
+        }
+
+        moved = moved || fromFiles.some(function(file){ return toFiles.indexOf(file) === -1; });
+
+        if (moved || results.errors[name])
+            results.changes.changed.push(name);
+        else
+            results.changes.unchanged.push(name);
+    }
+
+    return results;
+};
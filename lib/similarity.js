@@ -0,0 +1,107 @@
+'use strict';
+
+var diffLines = require('./diff').diffLines;
+
+
+/**
+ * Returns the structural similarity of two arrays of flattened lines, from 0 (nothing in common) to 1 (identical). The
+ * score is the number of lines the two arrays have in common (aligned with a Myers diff) relative to their average
+ * length : 2 * common / (sourceLines.length + testLines.length).
+ *
+ * @param {array} sourceLines Required.
+ * @param {array} testLines Required.
+ * @return {number}
+ */
+function score(sourceLines, testLines){
+    var total = sourceLines.length + testLines.length;
+
+    if (!total)
+        return 1;
+
+    var different = diffLines(sourceLines, testLines).reduce(function(count, hunk){
+        return count + hunk.sourceLines.length;
+    }, 0);
+
+    return 2 * (sourceLines.length - different) / total;
+}
+
+
+/**
+ * Finds modules which could not be compared, because they have warnings in results (eg only one instance, or not in the
+ * reference or baseline, but not skipped modules), but whose structure closely matches a module with a different name.
+ * These are likely modules which were renamed, or duplicated under another name.
+ *
+ * Each instance of a warned module is scored against every instance of the other modules, and the best match of each
+ * other module with a score of at least threshold is kept. Matches are added to results, best first, as :
+ *
+ *      similar : [
+ *          { module : string, instance : string, similar : string, similarInstance : string, score : number }
+ *      ]
+ *
+ * and are named in the module's warning description. A pair of warned modules is listed once.
+ *
+ * @param {object} modules Modules as returned by linesToModules. Required.
+ * @param {object} results Results as returned by compareModules. Required.
+ * @param {number} threshold Lowest score reported, from 0 to 1. If null, nothing is reported. Optional.
+ * @return {object} results
+ */
+function detect(modules, results, threshold){
+    results.similar = [];
+
+    if (threshold === null || threshold === undefined)
+        return results;
+
+    var warned = Object.keys(results.warnings).filter(function(name){
+        return modules.hasOwnProperty(name) && !results.warnings[name].skipped;
+    });
+
+    warned.forEach(function(name, warnedIndex){
+        var matches = [];
+
+        for (var other in modules){
+
+            // a pair of warned modules is scored from the first one only
+            if (other === name || warned.indexOf(other) !== -1 && warned.indexOf(other) < warnedIndex)
+                continue;
+
+            var best = null;
+
+            for (var instance in modules[name])
+                for (var otherInstance in modules[other]){
+                    var lines = modules[name][instance],
+                        otherLines = modules[other][otherInstance],
+                        total = lines.length + otherLines.length;
+
+                    // the score can't be higher than this, skip the diff if it can't beat threshold or best
+                    var bound = total ? 2 * Math.min(lines.length, otherLines.length) / total : 1;
+                    if (bound < threshold || (best && bound <= best.score))
+                        continue;
+
+                    var value = score(lines, otherLines);
+                    if (value >= threshold && (!best || value > best.score))
+                        best = { module : name, instance : instance, similar : other, similarInstance : otherInstance, score : value };
+                }
+
+            if (best)
+                matches.push(best);
+        }
+
+        if (!matches.length)
+            return;
+
+        results.similar = results.similar.concat(matches);
+        results.warnings[name].description += ' Closely matches ' + matches.map(function(match){
+            return '"' + match.similar + '" (' + Math.round(match.score * 100) + '%)';
+        }).join(', ') + ', it may have been renamed or duplicated.';
+    });
+
+    results.similar.sort(function(a, b){
+        return b.score - a.score;
+    });
+
+    return results;
+}
+
+
+module.exports.score = score;
+module.exports.detect = detect;
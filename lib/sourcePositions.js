@@ -0,0 +1,117 @@
+'use strict';
+
+var parse5 = require('parse5');
+
+
+/**
+ * Types of parse5 nodes which jsdom creates DOM nodes for, and the DOM nodeType of each.
+ */
+var nodeTypes = { tag : 1, script : 1, style : 1, text : 3, comment : 8 };
+
+
+/**
+ * Parses content with location info, using the same parser jsdom uses, so the parsed tree has the same structure as
+ * the DOM jsdom builds from content. Returns an object :
+ *
+ *      {
+ *          body : parse5 node of body, or null,
+ *          position : function(offset) returning { line : integer, column : integer } for a character offset
+ *      }
+ *
+ * Lines and columns are 1-based.
+ *
+ * @param {string} content HTML markup. Required.
+ * @return {object}
+ */
+module.exports.parse = function(content){
+    var parser = new parse5.Parser(parse5.TreeAdapters.htmlparser2, { locationInfo : true }),
+        document = parser.parse(content),
+        lineStarts = [ 0 ],
+        body = null;
+
+    for (var i = 0 ; i < content.length ; i ++)
+        if (content[i] === '\n')
+            lineStarts.push(i + 1);
+
+    (document.children || []).forEach(function(html){
+        (html.name === 'html' ? html.children : []).forEach(function(child){
+            if (child.name === 'body')
+                body = child;
+        });
+    });
+
+    return {
+        body : body,
+        position : function(offset){
+            var low = 0,
+                high = lineStarts.length - 1;
+
+            // last line which starts at or before offset
+            while (low < high){
+                var middle = Math.ceil((low + high) / 2);
+                if (lineStarts[middle] <= offset)
+                    low = middle;
+                else
+                    high = middle - 1;
+            }
+
+            return { line : low + 1, column : offset - lineStarts[low] + 1 };
+        }
+    };
+};
+
+
+/**
+ * Returns the parse5 children of sourceNode which correspond to the childNodes of a DOM node, in the same order.
+ *
+ * @param {object} sourceNode parse5 node. Optional.
+ * @return {array}
+ */
+module.exports.children = function(sourceNode){
+    return (sourceNode && sourceNode.children || []).filter(function(child){
+        return nodeTypes.hasOwnProperty(child.type);
+    });
+};
+
+
+/**
+ * Returns true if sourceNode is the parse5 node DOM node was built from, as far as can be told from type and name.
+ *
+ * @param {object} node DOM node. Required.
+ * @param {object} sourceNode parse5 node. Optional.
+ * @return {boolean}
+ */
+module.exports.matches = function(node, sourceNode){
+    if (!sourceNode || nodeTypes[sourceNode.type] !== node.nodeType)
+        return false;
+
+    return node.nodeType !== 1 || node.tagName.toLowerCase() === sourceNode.name;
+};
+
+
+/**
+ * Returns the character offsets in content of the start and end of sourceNode : { start : integer, end : integer }.
+ * Either is null if unknown, eg for elements the parser inserted. Text starts at its first non-whitespace character,
+ * an element with no end tag ends where it starts.
+ *
+ * @param {object} sourceNode parse5 node. Optional.
+ * @param {string} content Markup sourceNode was parsed from. Required.
+ * @return {object}
+ */
+module.exports.offsets = function(sourceNode, content){
+    var location = sourceNode ? sourceNode.__location : null;
+
+    if (!location)
+        return { start : null, end : null };
+
+    if (sourceNode.type === 'text'){
+        var start = location.start;
+        while (start < location.end && /\s/.test(content[start]))
+            start ++;
+
+        return { start : start, end : start };
+    }
+
+    var tagStart = location.startTag ? location.startTag.start : location.start;
+    return { start : tagStart, end : location.endTag ? location.endTag.start : tagStart };
+};
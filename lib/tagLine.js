@@ -0,0 +1,78 @@
+'use strict';
+
+
+/**
+ * Element start tags as nodeToLine writes them, eg <div class="card" hidden>. Attribute values are escaped (see
+ * escape), so a value never holds " or >, and a line is a start tag only if all of it parses as one. Comments, inner
+ * text, module placeholders and end tags don't.
+ */
+var startTagRegex = /^<([a-z][^\s>\/]*)((?:\s[^\s"'>\/=]+(?:="[^"]*")?)*)>$/i,
+    attributeRegex = /\s([^\s"'>\/=]+)(?:="([^"]*)")?/g;
+
+
+/**
+ * Characters escaped in attribute values, and their entities. & is only escaped where it would be read as one of
+ * these entities, so most values are written as they are.
+ */
+var entities = { '&' : '&amp;', '"' : '&quot;', '>' : '&gt;' },
+    characters = { '&amp;' : '&', '&quot;' : '"', '&gt;' : '>' };
+
+
+/**
+ * Escapes an attribute value for a flattened line.
+ *
+ * @param {string} value Attribute value. Required.
+ * @return {string}
+ */
+function escape(value){
+    return String(value).replace(/&(?=(?:amp|quot|gt);)|[">]/g, function(character){
+        return entities[character] || character;
+    });
+}
+
+
+/**
+ * Returns an attribute value as it was before escape().
+ *
+ * @param {string} value Escaped attribute value. Required.
+ * @return {string}
+ */
+function unescape(value){
+    return value.replace(/&(?:amp|quot|gt);/g, function(entity){
+        return characters[entity];
+    });
+}
+
+
+/**
+ * Parses a flattened element start tag line.
+ *
+ * @param {string} line Flattened line. Required.
+ * @return {object} { tag : string, attributes : [ { name : string, value : string, text : string } ] }, or null if
+ * line is not a start tag. value is unescaped, and null for an attribute written without one. text is the attribute
+ * as written in the line, with its leading space.
+ */
+function parse(line){
+    var tag = startTagRegex.exec(line);
+
+    if (!tag)
+        return null;
+
+    var attributes = [],
+        matches;
+
+    attributeRegex.lastIndex = 0;
+    while ((matches = attributeRegex.exec(tag[2])) !== null)
+        attributes.push({
+            name : matches[1],
+            value : matches[2] === undefined ? null : unescape(matches[2]),
+            text : matches[0]
+        });
+
+    return { tag : tag[1], attributes : attributes };
+}
+
+
+module.exports.parse = parse;
+module.exports.escape = escape;
+module.exports.unescape = unescape;
@@ -0,0 +1,495 @@
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    glob = require('glob'),
+    minimatch = require('minimatch'),
+    parseUrl = require('./fetch').parseUrl,
+    documents = require('./documents'),
+    render = require('./render'),
+    cache = require('./cache'),
+    linesToModules = require('./linesToModules'),
+    compareModules = require('./compareModules'),
+    moduleOptions = require('./moduleOptions'),
+    similarity = require('./similarity'),
+    locations = require('./locations'),
+    report = require('./report');
+
+
+/**
+ * Returns the directory to watch for a glob : the part of the pattern before its first segment with magic, or the
+ * directory of the pattern if it has no magic.
+ */
+function baseDir(pattern){
+    var segments = pattern.split('/'),
+        base = [];
+
+    for (var i = 0 ; i < segments.length && !glob.hasMagic(segments[i]) ; i ++)
+        base.push(segments[i]);
+
+    if (base.length === segments.length)
+        base.pop();
+
+    return path.resolve(base.join('/') || '.');
+}
+
+
+/**
+ * Returns true if path is a directory.
+ */
+function isDirectory(file){
+    try {
+        return fs.statSync(file).isDirectory();
+    } catch(ex){
+        return false;
+    }
+}
+
+
+/**
+ * Returns the path a file found by a glob source is reported as, the way glob returns it : absolute if the pattern
+ * is, else relative to the current directory, with ./ kept if the pattern starts with it.
+ */
+function documentPath(pattern, file){
+    if (path.isAbsolute(pattern))
+        return file;
+
+    return (pattern.indexOf('./') === 0 ? './' : '') + path.relative(process.cwd(), file);
+}
+
+
+/**
+ * Merges the modules, trees and locations extracted from documents, in document order.
+ */
+function merge(watched){
+    var merged = { modules : {}, tree : {}, locations : {} };
+
+    watched.forEach(function(document){
+        var extracted = document.extracted;
+
+        for (var module in extracted.modules){
+            merged.modules[module] = merged.modules[module] || {};
+            merged.locations[module] = merged.locations[module] || {};
+
+            for (var instance in extracted.modules[module]){
+                merged.modules[module][instance] = extracted.modules[module][instance];
+                merged.locations[module][instance] = (extracted.locations[module] || {})[instance];
+            }
+        }
+
+        for (var location in extracted.tree)
+            merged.tree[location] = extracted.tree[location];
+    });
+
+    return merged;
+}
+
+
+/**
+ * Compares the modules named in names, as compare() does. Instances are copied before per-module overrides are applied,
+ * so the lines kept per document are not changed. Returns { modules : object, results : object }.
+ */
+function compareNames(names, merged, references, options){
+    var subset = { modules : {}, locations : {} };
+
+    names.forEach(function(name){
+        if (!merged.modules[name])
+            return;
+
+        subset.modules[name] = {};
+        subset.locations[name] = {};
+
+        for (var instance in merged.modules[name]){
+            var instanceLocations = merged.locations[name][instance];
+
+            subset.modules[name][instance] = merged.modules[name][instance];
+            subset.locations[name][instance] = instanceLocations ? { file : instanceLocations.file, positions : instanceLocations.positions } : undefined;
+        }
+    });
+
+    var overridden = moduleOptions.apply(subset, options),
+        results = compareModules(overridden.modules, references);
+
+    moduleOptions.skip(overridden.modules, results, overridden.skipped);
+    similarity.detect(merged.modules, results, options.similarityThreshold);
+    locations.annotate(results, subset.locations);
+
+    return { modules : overridden.modules, results : results };
+}
+
+
+/**
+ * Replaces everything about the modules named in names in state with compared.
+ */
+function replace(state, names, compared){
+    var isUnaffected = function(item){
+        return names.indexOf(item.module) === -1;
+    };
+
+    state.results.comparisons = state.results.comparisons.filter(isUnaffected).concat(compared.results.comparisons);
+    state.results.similar = state.results.similar.filter(isUnaffected).concat(compared.results.similar);
+    state.results.similar.sort(function(a, b){
+        return b.score - a.score;
+    });
+
+    names.forEach(function(name){
+        delete state.modules[name];
+        delete state.results.errors[name];
+        delete state.results.warnings[name];
+
+        if (compared.modules[name])
+            state.modules[name] = compared.modules[name];
+
+        if (compared.results.errors[name])
+            state.results.errors[name] = compared.results.errors[name];
+
+        if (compared.results.warnings[name])
+            state.results.warnings[name] = compared.results.warnings[name];
+    });
+}
+
+
+/**
+ * Watches the files of glob sources, and compares again whenever they change. Documents are kept in memory, so only a
+ * changed file is read and flattened again, and only the modules it contained before or contains now are compared
+ * again. Changes are collected until no file has changed for options.watchDelay milliseconds, so a burst of saves is
+ * compared once. Files which start matching a glob are added, deleted files are removed.
+ *
+ * Other sources (urls, crawls, git revisions) are loaded once. Modules are compared against each other, or against
+ * reference sources, as compare() does without a baseline.
+ *
+ * callback is called after the first comparison, and after each comparison of changes, with (err, update) where
+ * update is :
+ *
+ *      {
+ *          changed : [ string ],
+ *          affected : [ string ],
+ *          modules : object,
+ *          tree : object,
+ *          results : object
+ *      }
+ *
+ * changed are the paths of documents which changed, were added or were removed, affected the names of the modules
+ * compared again, and modules, tree and results the current state of all modules, as returned by compare(). Errors
+ * loading sources, invalid module options (code 27, see moduleOptions.check) or errors starting to watch (code 21)
+ * are passed to callback, close() the watcher then. Errors after a change, eg broken module markup, are passed to
+ * callback, the document is then kept as it was and watching goes on.
+ *
+ * If options.consoleOut is set, the modules compared again are reported after each change. If options.reportFile is
+ * set, the report of all modules is written to it instead.
+ *
+ * @param {array} sources Array of sources, see loadSource. Required.
+ * @param {object} options Resolved MarkupDiff options. Required.
+ * @param {function} callback (err, update). Required.
+ * @return {object} Watcher, { close : function }. Call close() to stop watching.
+ */
+module.exports = function(sources, options, callback){
+    var globs = [],
+        watchers = [],
+        watched = [],
+        references = [],
+        state = { modules : {}, tree : {}, results : { errors : {}, warnings : {}, comparisons : [], similar : [] } },
+        documentCache = options.cache && !options.render ? cache.open(options.cache) : null,
+        pending = {},
+        timer = null,
+        running = false,
+        closed = false;
+
+    sources = sources.map(function(source){
+        return typeof source === 'string' ? parseUrl(source) || { glob : source } : source;
+    });
+
+    sources.forEach(function(source){
+        if (source.glob && !source.git)
+            globs.push({ pattern : source.glob, absolute : path.resolve(source.glob), reference : !!source.reference });
+    });
+
+    /**
+     * Calls back outside of the promise chain, so exceptions thrown in callback are not swallowed as rejections.
+     */
+    function notify(err, result){
+        process.nextTick(function(){
+            callback(err, result || null);
+        });
+    }
+
+    /**
+     * Compares the modules in names, updates state and reports. Returns the update passed to callback. changed are
+     * listed in the console report, except for the first comparison.
+     */
+    function compare(changed, names, first){
+        var merged = merge(watched),
+            compared = compareNames(names, merged, references, options);
+
+        state.tree = merged.tree;
+        replace(state, names, compared);
+
+        if (options.reportFile)
+            report.write(state.modules, state.results, options, state.tree);
+        else if (options.consoleOut){
+            if (!first)
+                console.log(('Changed : ' + changed.join(', ')).cyan);
+
+            report.write(compared.modules, compared.results, options, merged.tree);
+        }
+
+        return { changed : changed, affected : names, modules : state.modules, tree : state.tree, results : state.results };
+    }
+
+    /**
+     * Reads a changed file again. Resolves with its new document, or null if it no longer matches a glob.
+     */
+    function reload(file){
+        var source = null;
+
+        for (var i = 0 ; i < globs.length && !source ; i ++)
+            if (minimatch(file, globs[i].absolute))
+                source = globs[i];
+
+        if (!source || !fs.existsSync(file))
+            return Promise.resolve(null);
+
+        return new Promise(function(resolve, reject){
+            fs.readFile(file, { encoding : options.encoding }, function(err, content){
+                if (err)
+                    return reject({ description : 'Could not read file ' + file, code : 16, inner : err });
+
+                resolve({ content : content, path : documentPath(source.pattern, file), reference : source.reference });
+            });
+        }).then(function(document){
+            if (!options.render)
+                return document;
+
+            return render(document, options).then(function(dom){
+                document.dom = dom;
+                return document;
+            });
+        });
+    }
+
+    /**
+     * Reads, flattens and compares the changed files. Resolves with the update, or null if nothing changed. If a file
+     * can't be read or flattened, no document is changed.
+     */
+    function update(files){
+        return Promise.all(files.map(reload)).then(function(loaded){
+            var changes = [],
+                changed = [],
+                names = [];
+
+            var addNames = function(extracted){
+                for (var name in extracted.modules)
+                    if (names.indexOf(name) === -1)
+                        names.push(name);
+            };
+
+            // documents are flattened before any is replaced, so a broken one leaves all as they were
+            files.forEach(function(file, index){
+                var existing = watched.filter(function(document){ return document.file === file; })[0] || null,
+                    document = loaded[index];
+
+                if (!document){
+                    if (existing)
+                        changes.push({ existing : existing, replacement : null });
+                    return;
+                }
+
+                // keep the path the document was first found under
+                document.path = existing ? existing.path : document.path;
+
+                var flattened = documents.flatten(document, documentCache, options, document.dom);
+                if (existing && flattened.lines.join('\n') === existing.lines.join('\n'))
+                    return;
+
+                var replacement = {
+                    file : file,
+                    path : document.path,
+                    reference : document.reference,
+                    lines : flattened.lines,
+                    positions : flattened.positions
+                };
+                replacement.extracted = linesToModules.extract([replacement], options);
+
+                changes.push({ existing : existing, replacement : replacement });
+            });
+
+            changes.forEach(function(change){
+                if (change.existing)
+                    addNames(change.existing.extracted);
+
+                if (!change.replacement){
+                    watched.splice(watched.indexOf(change.existing), 1);
+                    changed.push(change.existing.path);
+                    return;
+                }
+
+                if (change.existing)
+                    watched[watched.indexOf(change.existing)] = change.replacement;
+                else
+                    watched.push(change.replacement);
+
+                if (change.replacement.reference && references.indexOf(change.replacement.path) === -1)
+                    references.push(change.replacement.path);
+
+                changed.push(change.replacement.path);
+                addNames(change.replacement.extracted);
+            });
+
+            return changed.length ? compare(changed, names) : null;
+        });
+    }
+
+    /**
+     * Compares files changed since the last comparison. Runs again once done if files changed meanwhile.
+     */
+    function flush(){
+        timer = null;
+
+        if (running || closed)
+            return;
+
+        var files = Object.keys(pending);
+        pending = {};
+        running = true;
+
+        update(files).then(function(result){
+            if (result)
+                notify(null, result);
+        }, notify).then(function(){
+            running = false;
+
+            if (Object.keys(pending).length && !timer)
+                flush();
+        });
+    }
+
+    /**
+     * Queues a changed file, and waits for the burst of changes to end.
+     */
+    function queue(file){
+        pending[file] = true;
+
+        clearTimeout(timer);
+        timer = setTimeout(flush, options.watchDelay);
+    }
+
+    /**
+     * Returns true if files in dir, or in its subdirectories, can match a glob.
+     */
+    function canMatch(dir){
+        return globs.some(function(source){
+            return new minimatch.Minimatch(source.absolute).match(dir, true);
+        });
+    }
+
+    /**
+     * Watches dir, without recursion, which fs.watch only supports on some platforms. Throws an error object (code 21)
+     * if it can't be watched.
+     */
+    function watchDir(dir){
+        if (watchers.some(function(watcher){ return watcher.dir === dir; }))
+            return;
+
+        var watcher;
+        try {
+            watcher = fs.watch(dir, function(event, filename){
+                if (!filename)
+                    return;
+
+                var file = path.resolve(dir, filename);
+                if (!isDirectory(file))
+                    return queue(file);
+
+                try {
+                    watchTree(file, true);
+                } catch(err){
+                    notify(err);
+                }
+            });
+        } catch(ex){
+            throw { description : 'Could not watch ' + dir, code : 21, inner : ex };
+        }
+
+        watcher.dir = dir;
+        watcher.on('error', function(err){
+            watcher.close();
+            watchers.splice(watchers.indexOf(watcher), 1);
+
+            // a watched directory which is deleted is no longer watched, any other failure is reported
+            if (fs.existsSync(dir))
+                notify({ description : 'Could not watch ' + dir, code : 21, inner : err });
+        });
+        watchers.push(watcher);
+    }
+
+    /**
+     * Watches dir and its subdirectories in which files can match a glob. If added is set, dir is new, and its files
+     * are queued as changed.
+     */
+    function watchTree(dir, added){
+        if (!canMatch(dir))
+            return;
+
+        watchDir(dir);
+
+        var names;
+        try {
+            names = fs.readdirSync(dir);
+        } catch(ex){
+            throw { description : 'Could not watch ' + dir, code : 21, inner : ex };
+        }
+
+        names.forEach(function(name){
+            var file = path.join(dir, name);
+
+            if (isDirectory(file))
+                watchTree(file, added);
+            else if (added)
+                queue(file);
+        });
+    }
+
+    /**
+     * Stops all watchers.
+     */
+    function closeWatchers(){
+        watchers.forEach(function(watcher){
+            watcher.close();
+        });
+        watchers = [];
+    }
+
+    documents.load(sources, options).then(function(loaded){
+        if (closed)
+            return;
+
+        // invalid module options are reported before anything is watched
+        moduleOptions.check(options);
+
+        references = loaded.references;
+        watched = loaded.documents.map(function(document){
+            document.file = !document.url && fs.existsSync(document.path) ? path.resolve(document.path) : null;
+            document.extracted = linesToModules.extract([document], options);
+            return document;
+        });
+
+        try {
+            globs.forEach(function(source){
+                watchTree(baseDir(source.pattern), false);
+            });
+        } catch(err){
+            closeWatchers();
+            throw err;
+        }
+
+        notify(null, compare(watched.map(function(document){ return document.path; }), Object.keys(merge(watched).modules), true));
+    }).catch(notify);
+
+    return {
+        close : function(){
+            closed = true;
+            clearTimeout(timer);
+            closeWatchers();
+        }
+    };
+};
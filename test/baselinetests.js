@@ -0,0 +1,56 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    markupDiff = require('../index');
+
+var baselineFile = path.join(os.tmpdir(), 'markupdiff-baseline-' + process.pid + '.json');
+
+/**
+ * check() compares current instances against baseline instances only, and warns about modules missing on either side.
+ */
+(function(){
+    var baseline = { card : { 'a.html' : ['<div>', '</div>'] }, gone : { 'a.html' : ['<p>', '</p>'] } },
+        current = { card : { 'a.html' : ['<div>', '<span>', '</span>', '</div>'], 'b.html' : ['<div>', '</div>'] }, added : { 'b.html' : ['<i>', '</i>'] } },
+        checked = markupDiff.baseline.check(current, baseline);
+
+    assert.equal(2, checked.results.comparisons.length);
+    assert.deepEqual(['a.html'], Object.keys(checked.results.errors.card));
+    assert.equal('baseline:a.html', checked.results.errors.card['a.html'][0].source.path);
+    assert.equal('added', checked.results.errors.card['a.html'][0].type);
+    assert.ok(checked.results.warnings.gone);
+    assert.ok(checked.results.warnings.added);
+    assert.deepEqual(['baseline:a.html', 'a.html', 'b.html'], Object.keys(checked.modules.card));
+})();
+
+/**
+ * Fail test.
+ * Baselines with another version are rejected.
+ */
+(function(){
+    var file = baselineFile + '.old';
+    fs.writeFileSync(file, JSON.stringify({ version : 0, modules : {} }));
+    assert.throws(function(){ markupDiff.baseline.load(file); }, function(err){ return err.code === 10; });
+    fs.unlinkSync(file);
+})();
+
+/**
+ * Happy test
+ * Update writes a baseline which the same source then passes, a changed source then fails.
+ */
+markupDiff.compare([{ glob : path.join(__dirname, 'content/simple2.html') }], { consoleOut : false, baseline : baselineFile, updateBaseline : true })
+    .then(function(){
+        assert.equal(1, JSON.parse(fs.readFileSync(baselineFile, 'utf8')).version);
+        return markupDiff.compare([{ glob : path.join(__dirname, 'content/simple2.html') }], { consoleOut : false, baseline : baselineFile });
+    })
+    .then(function(result){
+        assert.deepEqual({}, result.results.errors);
+        return markupDiff.compare([{ glob : path.join(__dirname, 'content/simple3.html') }], { consoleOut : false, baseline : baselineFile });
+    })
+    .then(function(result){
+        fs.unlinkSync(baselineFile);
+        assert.equal(1, result.results.errors.simple[path.join(__dirname, 'content/simple3.html')].length);
+    })
+    .catch(function(err){
+        process.nextTick(function(){ throw err; });
+    });
@@ -0,0 +1,60 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    markupDiff = require('../index'),
+    parallel = require('../lib/parallel');
+
+var cacheDir = path.join(os.tmpdir(), 'markupdiff-cache-' + process.pid),
+    file = path.join(__dirname, 'content/simple2.html');
+
+/**
+ * Parallel runs no more than concurrency tasks at once, and keeps results in item order.
+ */
+(function(){
+    var running = 0,
+        maxRunning = 0;
+
+    parallel([30, 10, 20, 5, 1], 2, function(delay, index){
+        running ++;
+        maxRunning = Math.max(running, maxRunning);
+
+        return new Promise(function(resolve){
+            setTimeout(function(){
+                running --;
+                resolve(index);
+            }, delay);
+        });
+    }).then(function(results){
+        assert.deepEqual([0, 1, 2, 3, 4], results);
+        assert.equal(2, maxRunning);
+    });
+})();
+
+/**
+ * Happy test
+ * A second run with cache gets flattened lines and their positions from cache instead of reading and parsing the file
+ * again, and with different flattening options does not.
+ */
+markupDiff.compare([{ glob : file }], { consoleOut : false, cache : cacheDir })
+    .then(function(first){
+        return markupDiff.loadSource({ glob : file }, { cache : cacheDir }).then(function(documents){
+            assert.equal(null, documents[0].content);
+            assert.equal(documents[0].lines.length, documents[0].positions.length);
+            assert.deepEqual(first.modules.simple[file], markupDiff.linesToModules({ lines : documents[0].lines, path : file }).simple[file]);
+
+            return markupDiff.loadSource({ glob : file }, { cache : cacheDir, processInnerText : false });
+        });
+    })
+    .then(function(documents){
+        assert.equal(undefined, documents[0].lines);
+        assert.ok(documents[0].content);
+
+        fs.readdirSync(cacheDir).forEach(function(entry){
+            fs.unlinkSync(path.join(cacheDir, entry));
+        });
+        fs.rmdirSync(cacheDir);
+    })
+    .catch(function(err){
+        process.nextTick(function(){ throw err; });
+    });
@@ -0,0 +1,86 @@
+var assert = require('assert'),
+    path = require('path'),
+    fs = require('fs'),
+    os = require('os'),
+    markupDiff = require('../index'),
+    remove = require('./helpers/remove'),
+    content = path.join(__dirname, 'content/catalog.html');
+
+/**
+ * Happy test
+ * Each module is described by the structure most of its instances have, with the classes and attribute values of
+ * every instance of that structure, its text slots and nested modules.
+ */
+markupDiff.catalog([{ glob : content }], { consoleOut : false }).then(function(catalog){
+    assert.equal(1, catalog.version);
+    assert.deepEqual([content], catalog.sources);
+    assert.deepEqual(['button', 'teaser'], catalog.modules.map(function(module){ return module.key; }));
+
+    var teaser = catalog.modules[1],
+        root = teaser.structure[0];
+
+    assert.equal(3, teaser.instances);
+    assert.equal(2, teaser.matching);
+    assert.equal(content, teaser.canonical);
+    assert.deepEqual(['teaser', 'teaser--wide', 'teaser-text', 'teaser-title'], teaser.classes);
+    assert.deepEqual(['data-id'], teaser.dataAttributes);
+    assert.deepEqual(['div.teaser > h3.teaser-title', 'div.teaser > p.teaser-text'], teaser.slots);
+    assert.deepEqual(['button'], teaser.modules);
+
+    assert.equal('div', root.tag);
+    assert.deepEqual(['1', '2'], root.attributes['data-id']);
+    assert.deepEqual(['element', 'optional', 'module'], root.children.map(function(node){ return node.type; }));
+
+    assert.deepEqual(['button', 'button--primary'], catalog.modules[0].classes);
+    assert.deepEqual(['Say "more" > now'], catalog.modules[0].structure[0].attributes.title);
+});
+
+/**
+ * Happy test
+ * A reference source gives the structure, and skipped modules are flagged.
+ */
+markupDiff.catalog([{ glob : content }, { glob : path.join(__dirname, 'content/variants.html'), reference : true }],
+    { consoleOut : false, moduleOptions : { teaser : { skip : true } } }).then(function(catalog){
+        var card = catalog.modules.filter(function(module){ return module.key === 'card'; })[0],
+            teaser = catalog.modules.filter(function(module){ return module.key === 'teaser'; })[0];
+
+        assert.equal(path.join(__dirname, 'content/variants.html'), card.canonical);
+        assert.equal('card', card.name);
+        assert.equal('featured', catalog.modules.filter(function(module){ return module.key === 'card variant:featured'; })[0].variant);
+        assert.ok(teaser.skipped);
+        assert.ok(!card.skipped);
+    });
+
+/**
+ * Happy test
+ * The catalog is written as markdown or html to reportFile.
+ */
+(function(){
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markupdiff-catalog-')),
+        markdown = path.join(dir, 'catalog.md'),
+        html = path.join(dir, 'catalog.html');
+
+    markupDiff.catalog([{ glob : content }], { consoleOut : false, reportFile : markdown }).then(function(){
+        var written = fs.readFileSync(markdown, 'utf8');
+        assert.ok(written.indexOf('## teaser') !== -1);
+        assert.ok(written.indexOf('* Text slots : `div.teaser > h3.teaser-title`') !== -1);
+
+        return markupDiff.catalog([{ glob : content }], { consoleOut : false, reportFile : html, catalogFormat : 'html' });
+    }).then(function(){
+        var written = fs.readFileSync(html, 'utf8');
+        assert.ok(written.indexOf('<section id="teaser">') !== -1);
+        assert.ok(written.indexOf('div.teaser &gt; h3.teaser-title') !== -1);
+
+        remove(dir);
+    });
+})();
+
+/**
+ * Fail test
+ * Unknown formats are rejected.
+ */
+markupDiff.catalog([{ glob : content }], { consoleOut : false, reportFile : path.join(os.tmpdir(), 'markupdiff-never-written'), catalogFormat : 'pdf' },
+    function(err, catalog){
+        assert.equal(26, err.code);
+        assert.equal(null, catalog);
+    });
@@ -0,0 +1,41 @@
+var assert = require('assert'),
+    path = require('path'),
+    childProcess = require('child_process'),
+    cli = path.join(__dirname, '../bin/markupdiff.js');
+
+/**
+ * Runs the cli with args, returns the spawnSync result. A config file in a parent directory of the checkout is not read.
+ */
+function run(args){
+    return childProcess.spawnSync(process.execPath, [cli, '--no-config'].concat(args), { encoding : 'utf8' });
+}
+
+/**
+ * Happy test
+ * Identical modules exit with 0.
+ */
+var result = run([path.join(__dirname, 'content/simple1.html'), path.join(__dirname, 'content/simple2.html'), '--attributes', 'class', '--attributes', 'data-*']);
+assert.equal(0, result.status);
+
+/**
+ * Mismatched modules exit with 1, json report counts the mismatched pair.
+ */
+result = run([path.join(__dirname, 'content/simple2.html'), path.join(__dirname, 'content/simple3.html'), '--format', 'json']);
+assert.equal(1, result.status);
+assert.equal(1, JSON.parse(result.stdout).summary.failures);
+
+/**
+ * Fail test.
+ * Missing sources exit with 2.
+ */
+result = run([]);
+assert.equal(2, result.status);
+
+/**
+ * Reference sources are only compared against, so an identical reference and a mismatched other source gives one
+ * failure.
+ */
+result = run([path.join(__dirname, 'content/simple2.html'), path.join(__dirname, 'content/simple3.html'), '--reference', path.join(__dirname, 'content/simple1.html'), '--attributes', 'class', '--format', 'json']);
+assert.equal(1, result.status);
+assert.equal(2, JSON.parse(result.stdout).summary.pairs);
+assert.equal(1, JSON.parse(result.stdout).summary.failures);
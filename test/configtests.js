@@ -0,0 +1,149 @@
+var assert = require('assert'),
+    path = require('path'),
+    fs = require('fs'),
+    os = require('os'),
+    childProcess = require('child_process'),
+    markupDiff = require('../index'),
+    remove = require('./helpers/remove'),
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markupdiff-config-')),
+    cli = path.join(__dirname, '../bin/markupdiff.js');
+
+/**
+ * Runs the cli in a directory with args, returns the spawnSync result.
+ */
+function run(cwd, args){
+    return childProcess.spawnSync(process.execPath, [cli].concat(args), { cwd : cwd, encoding : 'utf8' });
+}
+
+/**
+ * Returns the load error of a config file with content, or null if it loads.
+ */
+function loadError(name, content){
+    var file = path.join(dir, 'invalid', name);
+    fs.writeFileSync(file, content);
+
+    try {
+        markupDiff.config.load(file);
+        return null;
+    } catch(ex){
+        return ex;
+    }
+}
+
+fs.mkdirSync(path.join(dir, 'pages'));
+fs.mkdirSync(path.join(dir, 'invalid'));
+fs.writeFileSync(path.join(dir, 'pages/a.html'), '<div><!--module:card--><div class="card" id="a"><h2>Title</h2></div><!--/module--><!--module:legacy-menu--><ul><li></li></ul><!--/module--></div>');
+fs.writeFileSync(path.join(dir, 'pages/b.html'), '<div><!--module:card--><div class="card" id="b"><h2></h2></div><!--/module--><!--module:legacy-menu--><ol></ol><!--/module--></div>');
+fs.writeFileSync(path.join(dir, 'quoted.html'), '<div><!--module:quoted--><div class="card" title="a > b" data-say=\'"hi"\' id="x"></div><!--/module--></div>');
+fs.writeFileSync(path.join(dir, '.markupdiffrc'), JSON.stringify({
+    sources : ['pages/*.html'],
+    options : { excludeAttributes : ['id'], startIgnoreRegex : '<!--skip-->' },
+    modules : {
+        'legacy-*' : { skip : true },
+        card : { processInnerText : false }
+    }
+}));
+
+/**
+ * Happy test
+ * Config is found from a subdirectory, its sources are relative to it. Per-module overrides make card match, and the
+ * legacy menu is skipped instead of compared.
+ */
+var config = markupDiff.config.load(markupDiff.config.find(path.join(dir, 'pages')));
+assert.equal(path.join(dir, '.markupdiffrc'), config.file);
+assert.ok(config.options.startIgnoreRegex instanceof RegExp);
+assert.deepEqual({ 'legacy-*' : { skip : true }, card : { processInnerText : false } }, config.options.moduleOptions);
+
+var result = run(path.join(dir, 'pages'), ['--format', 'json']);
+assert.equal(0, result.status);
+
+var report = JSON.parse(result.stdout);
+assert.equal(1, report.summary.pairs);
+assert.equal(0, report.summary.failures);
+assert.ok(report.modules.filter(function(module){
+    return module.name === 'legacy-menu';
+})[0].warning.indexOf('expected mismatch') !== -1);
+
+/**
+ * Options on the command line override the config's, and sources on the command line replace the config's.
+ */
+result = run(dir, ['--format', 'json', '--exclude-attributes', 'class']);
+assert.equal(1, result.status);
+
+result = run(dir, ['pages/a.html', '--format', 'json']);
+assert.equal(0, JSON.parse(result.stdout).summary.pairs);
+
+/**
+ * --no-config ignores the config file, so there are no sources.
+ */
+result = run(dir, ['--no-config']);
+assert.equal(2, result.status);
+
+/**
+ * Overrides apply to the lines of matching modules only, attributes are filtered per module.
+ */
+markupDiff.compare([{ glob : path.join(dir, 'pages/*.html') }], { consoleOut : false, moduleOptions : { card : { attributes : ['class'], processInnerText : false } } })
+    .then(function(compared){
+        assert.equal(undefined, compared.results.errors.card);
+        assert.deepEqual(['<div class="card">', '<h2>', '</h2>', '</div>'], compared.modules.card[path.join(dir, 'pages/a.html')]);
+        assert.ok(compared.results.errors['legacy-menu']);
+
+        /**
+         * Attribute values holding quotes or > are escaped in lines, so overrides filter their attributes too.
+         */
+        return markupDiff.compare([{ glob : path.join(dir, 'quoted.html') }], { consoleOut : false, moduleOptions : { quoted : { excludeAttributes : ['title', 'id'] } } });
+    })
+    .then(function(compared){
+        assert.deepEqual(['<div class="card" data-say="&quot;hi&quot;">', '</div>'], compared.modules.quoted[path.join(dir, 'quoted.html')]);
+
+        /**
+         * Fail test
+         * Overrides passed to compare() can't bring back what options leave out either, they are rejected with code 27.
+         */
+        return markupDiff.compare([{ glob : path.join(dir, 'pages/*.html') }], { consoleOut : false, attributes : ['class'], moduleOptions : { card : { attributes : ['id'] } } })
+            .then(function(){
+                assert.fail('widening module options were not rejected');
+            }, function(err){
+                assert.equal(27, err.code);
+                assert.equal('card', err.module);
+                assert.ok(err.description.indexOf('"id"') !== -1);
+            });
+    })
+    .then(function(){
+
+        /**
+         * Fail tests
+         * Invalid config files throw with code 20, the cli exits with 2.
+         */
+        assert.equal(20, loadError('.markupdiffrc', '{ sources : [] }').code);
+        assert.equal(20, loadError('.markupdiffrc', '[]').code);
+        assert.equal(20, loadError('.markupdiffrc', '{ "source" : [] }').code);
+        assert.equal(20, loadError('.markupdiffrc', '{ "sources" : [ 1 ] }').code);
+        assert.equal(20, loadError('.markupdiffrc', '{ "options" : { "attribute" : [] } }').code);
+        assert.equal(20, loadError('.markupdiffrc', '{ "options" : { "processInnerText" : "no" } }').code);
+        assert.equal(20, loadError('.markupdiffrc', '{ "options" : { "endModuleRegex" : "(" } }').code);
+        assert.equal(20, loadError('.markupdiffrc', '{ "modules" : { "card" : { "skipped" : true } } }').code);
+        assert.equal(20, loadError('.markupdiffrc', '{ "modules" : { "card" : { "attributes" : "class" } } }').code);
+
+        // overrides which would compare more than options keep
+        var widening = loadError('.markupdiffrc', '{ "options" : { "attributes" : ["class", "data-*"] }, "modules" : { "card" : { "attributes" : ["class", "title"] } } }');
+        assert.equal(20, widening.code);
+        assert.ok(widening.description.indexOf('"title"') !== -1);
+        assert.equal(20, loadError('.markupdiffrc', '{ "options" : { "excludeAttributes" : ["title"] }, "modules" : { "card" : { "attributes" : ["title"] } } }').code);
+        assert.equal(20, loadError('.markupdiffrc', '{ "options" : { "processInnerText" : false }, "modules" : { "card" : { "processInnerText" : true } } }').code);
+        assert.equal(20, loadError('.markupdiffrc', '{ "options" : { "sortAttributes" : true }, "modules" : { "card" : { "sortAttributes" : false } } }').code);
+        assert.equal(null, loadError('valid.json', '{ "options" : { "attributes" : ["class", "data-*"] }, "modules" : { "card" : { "attributes" : ["data-id"], "processInnerText" : false } } }'));
+        assert.equal(null, loadError('class.json', '{ "options" : { "moduleDelimiter" : "class", "moduleClassRegex" : "^(c-[a-z-]+)$" } }'));
+        assert.equal(20, loadError('.markupdiffrc', '{ "options" : { "moduleClassRegex" : "(" } }').code);
+        assert.equal(20, loadError('invalid.config.js', 'module.exports = { options : { concurrency : "8" } };').code);
+        assert.equal(null, loadError('valid.config.js', 'module.exports = { options : { reporter : function(){ return ""; } } };'));
+
+        result = run(path.join(dir, 'invalid'), []);
+        assert.equal(2, result.status);
+        assert.ok(result.stderr.indexOf('(code 20)') !== -1);
+
+        remove(dir);
+    })
+    .catch(function(err){
+        process.nextTick(function(){ throw err; });
+    });
@@ -0,0 +1,5 @@
+function title(text){
+    var h2 = document.createElement('h2');
+    h2.textContent = text;
+    return h2;
+}
@@ -0,0 +1,97 @@
+var assert = require('assert'),
+    path = require('path'),
+    fs = require('fs'),
+    os = require('os'),
+    childProcess = require('child_process'),
+    markupDiff = require('../index'),
+    remove = require('./helpers/remove'),
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'markupdiff-git-'));
+
+/**
+ * Runs git in the test repository.
+ */
+function git(args){
+    return childProcess.execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@test', '-c', 'commit.gpgsign=false'].concat(args),
+        { cwd : repo, encoding : 'utf8' });
+}
+
+/**
+ * Writes files and commits them.
+ */
+function commit(files, message){
+    for (var file in files){
+        fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive : true });
+        fs.writeFileSync(path.join(repo, file), files[file]);
+    }
+
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', message]);
+}
+
+git(['init', '-q']);
+commit({
+    'pages/a.html' : '<div><!--module:card--><div class="card"><h2>Title</h2></div><!--/module--><!--module:menu--><ul><li>a</li></ul><!--/module--><!--module:old--><p></p><!--/module--></div>',
+    'pages/b.html' : '<div><!--module:card--><div class="card"><h2>Title</h2></div><!--/module--></div>',
+    'other.html' : '<div><!--module:card--><div class="other"></div><!--/module--></div>'
+}, 'first');
+commit({
+    'pages/a.html' : '<div><!--module:card--><div class="card"><h2>Title</h2><p>Text</p></div><!--/module--><!--module:menu--><ul><li>a</li></ul><!--/module--><!--module:badge--><span></span><!--/module--></div>'
+}, 'second');
+
+/**
+ * Happy test
+ * Modules are compared with the same file at the other revision, files outside the glob are not read.
+ */
+markupDiff.compareRevisions({ repo : repo, glob : 'pages/**/*.html', from : 'HEAD~1', to : 'HEAD' }, { consoleOut : false })
+    .then(function(result){
+        var changes = result.results.changes;
+
+        assert.deepEqual(['card'], changes.changed);
+        assert.deepEqual(['menu'], changes.unchanged);
+        assert.deepEqual(['badge'], changes.added);
+        assert.deepEqual(['old'], changes.removed);
+
+        assert.deepEqual(['HEAD~1:pages/a.html', 'HEAD~1:pages/b.html', 'HEAD:pages/a.html', 'HEAD:pages/b.html'], Object.keys(result.modules.card));
+        assert.equal('added', result.results.errors.card['HEAD:pages/a.html'][0].type);
+        assert.equal('HEAD~1:pages/a.html', result.results.errors.card['HEAD:pages/a.html'][0].source.path);
+        assert.equal(undefined, result.results.errors.card['HEAD:pages/b.html']);
+
+        // git sources also work with compare()
+        return markupDiff.compare([{ git : 'HEAD', glob : '*.html', repo : repo }, { git : 'HEAD', glob : 'pages/b.html', repo : repo }], { consoleOut : false });
+    })
+    .then(function(result){
+        assert.deepEqual(['HEAD:other.html', 'HEAD:pages/b.html'], Object.keys(result.modules.card));
+
+        // cli exits with 1 if modules changed
+        var cli = childProcess.spawnSync(process.execPath, [path.join(__dirname, '../bin/markupdiff.js'), 'pages/*.html', '--from', 'HEAD~1', '--to', 'HEAD', '--repo', repo], { encoding : 'utf8' });
+        assert.equal(1, cli.status);
+        assert.ok(cli.stdout.indexOf('Modules changed between HEAD~1 and HEAD : card') !== -1);
+
+        /**
+         * Fail test
+         * An unknown revision rejects with code 19.
+         */
+        return markupDiff.compareRevisions({ repo : repo, glob : '**/*.html', from : 'nope', to : 'HEAD' }, { consoleOut : false }).then(function(){
+            assert.fail('Unknown revision should reject');
+        }, function(err){
+            assert.equal(19, err.code);
+            assert.ok(err.description.indexOf('Unknown git revision "nope"') === 0);
+
+            /**
+             * Fail test
+             * A revision which git would read as an option is rejected before git is run with it.
+             */
+            return markupDiff.compareRevisions({ repo : repo, glob : '**/*.html', from : '--output=' + path.join(repo, 'written'), to : 'HEAD' }, { consoleOut : false });
+        }).then(function(){
+            assert.fail('Option-like revision should reject');
+        }, function(err){
+            assert.equal(19, err.code);
+            assert.ok(!fs.existsSync(path.join(repo, 'written')));
+        });
+    })
+    .then(function(){
+        remove(repo);
+    })
+    .catch(function(err){
+        process.nextTick(function(){ throw err; });
+    });
@@ -0,0 +1,25 @@
+var fs = require('fs'),
+    path = require('path');
+
+/**
+ * Removes a file or directory and everything in it, if it exists. fs.rmSync isn't in every Node version the tests
+ * run on.
+ */
+module.exports = function remove(target){
+    var stats;
+
+    try {
+        stats = fs.lstatSync(target);
+    } catch(ex){
+        return;
+    }
+
+    if (!stats.isDirectory())
+        return fs.unlinkSync(target);
+
+    fs.readdirSync(target).forEach(function(name){
+        remove(path.join(target, name));
+    });
+
+    fs.rmdirSync(target);
+};
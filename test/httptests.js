@@ -1,34 +1,392 @@
 var assert = require('assert'),
-    util = require('util'),
-    markupDiff = require('../lib/markupDiff');
+    fs = require('fs'),
+    http = require('http'),
+    path = require('path'),
+    markupDiff = require('../index');
 
 /**
- * Fail test.
- * Using a location path without leading / returns error.
- * Note : cannot run test until http serve found
+ * Pages of a small site to crawl.
  */
-/*
- markupDiff.compare(
- [
- { host: 'needs.com', port : 80, path : 'innovation.html' },
- { glob : './content/simple2.html' }
- ],
- {
- attributes : ['class', 'data-*']
- },
- function(err, result){
- assert.equal(true, err !== null);
- assert.equal(true, result === null);
- }
- );
+var site = {
+    '/site/' : '<html><body><a href="a.html">a</a> <a href="/site/b.html#top">b</a> <a href="http://example.com/">ext</a> <a href="private/c.html">c</a> <a href="missing.html">m</a></body></html>',
+    '/site/a.html' : '<html><body><!--module:m--><div class="m"></div><!--/module--><a href="deep.html">deep</a></body></html>',
+    '/site/b.html' : '<html><body><!--module:m--><div class="m"><span></span></div><!--/module--></body></html>',
+    '/site/deep.html' : '<html><body><!--module:m--><div class="m"></div><!--/module--></body></html>',
+    '/site/private/c.html' : '<html><body></body></html>',
+    '/sitemap.xml' : '<?xml version="1.0"?><urlset><url><loc>BASE/site/a.html</loc></url><url><loc>BASE/site/b.html</loc></url></urlset>'
+};
+
+/**
+ * Site requests sent with an X-Crawl header : how many are answered at once, the most at once, and how many pages
+ * were downloaded.
+ */
+var crawling = { active : 0, most : 0, downloads : 0 };
+
+/**
+ * Local server serving test content, with routes for redirects, errors, slow responses, auth, cookies and a site to
+ * crawl. Site pages have an ETag, and are answered slowly to requests with an X-Crawl header.
  */
+var server = http.createServer(function(req, res){
+        if (site[req.url]){
+            var etag = '"' + req.url + '"',
+                respond = function(){
+                    res.writeHead(200, { 'Content-Type' : /\.xml$/.test(req.url) ? 'application/xml' : 'text/html', ETag : etag });
+                    res.end(site[req.url].replace(/BASE/g, 'http://' + req.headers.host));
+                };
+
+            if (req.headers['if-none-match'] === etag){
+                res.writeHead(304);
+                return res.end();
+            }
+
+            if (!req.headers['x-crawl'])
+                return respond();
+
+            crawling.active ++;
+            crawling.most = Math.max(crawling.most, crawling.active);
+            crawling.downloads ++;
+
+            return setTimeout(function(){
+                crawling.active --;
+                respond();
+            }, 50);
+        }
+
+        var send = function(file){
+            res.writeHead(200, { 'Content-Type' : 'text/html' });
+            res.end(fs.readFileSync(path.join(__dirname, 'content', file)));
+        };
+
+        switch (req.url){
+            case '/simple2.html':
+                return send('simple2.html');
+            case '/redirect':
+                res.writeHead(302, { Location : '/simple2.html' });
+                return res.end();
+            case '/redirect-cookie':
+                res.writeHead(302, { Location : '/cookie' });
+                return res.end();
+            case '/redirect-other':
+                res.writeHead(302, { Location : 'http://127.0.0.1:' + other.address().port + '/other' });
+                return res.end();
+            case '/loop':
+                res.writeHead(302, { Location : '/loop' });
+                return res.end();
+            case '/etag':
+                if (req.headers['if-none-match'] === '"v1"'){
+                    res.writeHead(304);
+                    return res.end();
+                }
+                res.writeHead(200, { 'Content-Type' : 'text/html', ETag : '"v1"' });
+                return res.end(fs.readFileSync(path.join(__dirname, 'content', 'simple2.html')));
+            case '/not-modified':
+                res.writeHead(304);
+                return res.end();
+            case '/missing':
+                res.writeHead(404);
+                return res.end();
+            case '/slow':
+                return; // never respond
+            case '/auth':
+                if (req.headers.authorization !== 'Basic ' + Buffer.from('user:pass').toString('base64')){
+                    res.writeHead(401);
+                    return res.end();
+                }
+                return send('simple2.html');
+            case '/cookie':
+                if (req.headers.cookie !== 'session=abc' || req.headers['x-test'] !== 'yes'){
+                    res.writeHead(403);
+                    return res.end();
+                }
+                return send('simple2.html');
+            default:
+                res.writeHead(404);
+                return res.end();
+        }
+    }),
+    pending = 0;
 
 /**
- * Happy test
- * Compare static vs http served module
+ * Server on another port, which fails requests sending credentials or headers meant for the first server.
  */
+var other = http.createServer(function(req, res){
+    res.writeHead(req.headers.authorization || req.headers.cookie || req.headers['x-test'] ? 403 : 200, { 'Content-Type' : 'text/html' });
+    res.end(fs.readFileSync(path.join(__dirname, 'content', 'simple2.html')));
+});
 
 /**
- * Happy test
- * Compare static vs https served module
- */
\ No newline at end of file
+ * Runs a test which calls done() when finished. Server is closed when all tests are done.
+ */
+function test(run){
+    pending ++;
+    run(function(){
+        pending --;
+        if (!pending){
+            server.close();
+            other.close();
+        }
+    });
+}
+
+other.listen(0, '127.0.0.1');
+server.listen(0, '127.0.0.1', function(){
+    var host = '127.0.0.1',
+        port = server.address().port,
+        base = 'http://' + host + ':' + port;
+
+    /**
+     * Fail test.
+     * Using a location path without leading / returns error.
+     */
+    test(function(done){
+        markupDiff.compare(
+            [
+                { host: host, port : port, path : 'simple2.html' },
+                { glob : path.join(__dirname, 'content/simple2.html') }
+            ],
+            {
+                attributes : ['class', 'data-*'],
+                consoleOut : false
+            },
+            function(err, result){
+                assert.equal(1, err.code);
+                assert.equal(true, result === null);
+                done();
+            }
+        );
+    });
+
+    /**
+     * Happy test
+     * Compare static vs http served module, with request options and a url string.
+     */
+    test(function(done){
+        markupDiff.compare(
+            [
+                { host: host, port : port, path : '/simple2.html' },
+                base + '/simple2.html',
+                { glob : path.join(__dirname, 'content/simple2.html') }
+            ],
+            {
+                consoleOut : false
+            },
+            function(err, result){
+                assert.equal(null, err);
+                assert.equal(3, Object.keys(result.modules.simple).length);
+                assert.deepEqual({}, result.results.errors);
+                done();
+            }
+        );
+    });
+
+    /**
+     * Happy test
+     * Redirects are followed.
+     */
+    test(function(done){
+        markupDiff.loadSource(base + '/redirect', function(err, documents){
+            assert.equal(null, err);
+            assert.ok(documents[0].content.indexOf('module:simple') !== -1);
+            assert.equal(host + '/redirect', documents[0].path);
+            assert.equal(base + '/simple2.html', documents[0].url);
+            done();
+        });
+    });
+
+    /**
+     * Fail test.
+     * Redirect loops stop at maxRedirects.
+     */
+    test(function(done){
+        markupDiff.loadSource(base + '/loop', { maxRedirects : 2 }, function(err){
+            assert.equal(14, err.code);
+            done();
+        });
+    });
+
+    /**
+     * Fail test.
+     * Non-2xx status is an error.
+     */
+    test(function(done){
+        markupDiff.loadSource(base + '/missing', function(err){
+            assert.equal(12, err.code);
+            assert.equal(404, err.statusCode);
+            done();
+        });
+    });
+
+    /**
+     * Fail test.
+     * Slow responses time out.
+     */
+    test(function(done){
+        markupDiff.loadSource(base + '/slow', { timeout : 100 }, function(err){
+            assert.equal(13, err.code);
+            done();
+        });
+    });
+
+    /**
+     * Fail test.
+     * Refused connections are errors.
+     */
+    test(function(done){
+        markupDiff.loadSource({ host : host, port : 1, path : '/' }, function(err){
+            assert.equal(11, err.code);
+            done();
+        });
+    });
+
+    /**
+     * Happy test
+     * Basic auth, from url and request options.
+     */
+    test(function(done){
+        markupDiff.loadSource('http://user:pass@' + host + ':' + port + '/auth', function(err){
+            assert.equal(null, err);
+            markupDiff.loadSource({ host : host, port : port, path : '/auth', auth : 'user:pass' }, function(err){
+                assert.equal(null, err);
+                done();
+            });
+        });
+    });
+
+    /**
+     * Happy test
+     * Cookies and headers are sent.
+     */
+    test(function(done){
+        markupDiff.loadSource({ host : host, port : port, path : '/cookie', cookies : { session : 'abc' }, headers : { 'X-Test' : 'yes' } }, function(err){
+            assert.equal(null, err);
+            done();
+        });
+    });
+
+    /**
+     * Happy test
+     * Cookies, headers and auth are kept on a redirect to the same origin.
+     */
+    test(function(done){
+        markupDiff.loadSource({ host : host, port : port, path : '/redirect-cookie', cookies : { session : 'abc' }, headers : { 'X-Test' : 'yes' } }, function(err){
+            assert.equal(null, err);
+            done();
+        });
+    });
+
+    /**
+     * Happy test
+     * Cookies, headers and auth are not sent on to another origin.
+     */
+    test(function(done){
+        markupDiff.loadSource({ host : host, port : port, path : '/redirect-other', auth : 'user:pass', cookies : { session : 'abc' }, headers : { 'X-Test' : 'yes' } }, function(err, documents){
+            assert.equal(null, err);
+            assert.ok(documents[0].content.indexOf('module:simple') !== -1);
+            done();
+        });
+    });
+
+    /**
+     * Happy test
+     * Crawl follows same-origin links to depth, skipping excluded and missing pages.
+     */
+    test(function(done){
+        markupDiff.compare([{ crawl : base + '/site/', depth : 1, exclude : ['/private/'] }], { consoleOut : false }, function(err, result){
+            assert.equal(null, err);
+            assert.deepEqual([host + '/site/a.html', host + '/site/b.html'], Object.keys(result.modules.m));
+            assert.ok(result.results.errors.m);
+            done();
+        });
+    });
+
+    /**
+     * Happy test
+     * Pages at the same depth are crawled concurrently. With cache, pages with an unchanged ETag are not downloaded
+     * again, and the links they had are read from cache.
+     */
+    test(function(done){
+        var cacheDir = path.join(require('os').tmpdir(), 'markupdiff-crawlcache-' + process.pid),
+            crawlSource = { crawl : base + '/site/', depth : 2, exclude : ['/private/'], headers : { 'X-Crawl' : 'yes' } },
+            crawlOptions = { consoleOut : false, cache : cacheDir, concurrency : 4 };
+
+        markupDiff.compare([crawlSource], crawlOptions, function(err, first){
+            assert.equal(null, err);
+            assert.deepEqual([host + '/site/a.html', host + '/site/b.html', host + '/site/deep.html'], Object.keys(first.modules.m));
+            assert.equal(4, crawling.downloads);
+            assert.ok(crawling.most > 1);
+
+            markupDiff.compare([crawlSource], crawlOptions, function(err, second){
+                assert.equal(null, err);
+                assert.equal(4, crawling.downloads);
+                assert.deepEqual(Object.keys(first.modules.m), Object.keys(second.modules.m));
+                assert.deepEqual(first.modules.m, second.modules.m);
+
+                fs.readdirSync(cacheDir).forEach(function(entry){
+                    fs.unlinkSync(path.join(cacheDir, entry));
+                });
+                fs.rmdirSync(cacheDir);
+                done();
+            });
+        });
+    });
+
+    /**
+     * Happy test
+     * Crawl from sitemap, with page limit.
+     */
+    test(function(done){
+        markupDiff.loadSource({ crawl : base + '/sitemap.xml', depth : 0, limit : 1 }, function(err, documents){
+            assert.equal(null, err);
+            assert.equal(1, documents.length);
+            assert.ok(documents[0].content.indexOf('class="m"') !== -1);
+            done();
+        });
+    });
+
+    /**
+     * Fail test.
+     * Crawl start page must load.
+     */
+    test(function(done){
+        markupDiff.loadSource({ crawl : base + '/missing' }, function(err){
+            assert.equal(12, err.code);
+            done();
+        });
+    });
+
+    /**
+     * Fail test.
+     * A 304 to a request which wasn't conditional is an error, with or without a cache.
+     */
+    test(function(done){
+        markupDiff.loadSource(base + '/not-modified', function(err){
+            assert.equal(12, err.code);
+            assert.ok(err instanceof Error);
+            done();
+        });
+    });
+
+    /**
+     * Happy test
+     * With cache, a url with an unchanged ETag is not downloaded again.
+     */
+    test(function(done){
+        var cacheDir = path.join(require('os').tmpdir(), 'markupdiff-httpcache-' + process.pid);
+
+        markupDiff.compare([base + '/etag'], { consoleOut : false, cache : cacheDir }, function(err, first){
+            assert.equal(null, err);
+
+            markupDiff.loadSource(base + '/etag', { cache : cacheDir }, function(err, documents){
+                assert.equal(null, err);
+                assert.equal(null, documents[0].content);
+                assert.deepEqual(first.modules.simple[host + '/etag'], markupDiff.linesToModules({ lines : documents[0].lines, path : host + '/etag' }).simple[host + '/etag']);
+
+                fs.readdirSync(cacheDir).forEach(function(entry){
+                    fs.unlinkSync(path.join(cacheDir, entry));
+                });
+                fs.rmdirSync(cacheDir);
+                done();
+            });
+        });
+    });
+});
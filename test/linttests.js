@@ -0,0 +1,52 @@
+var assert = require('assert'),
+    path = require('path'),
+    markupDiff = require('../index'),
+    lint = path.join(__dirname, 'content/lint.html');
+
+/**
+ * Happy test
+ * Every problem in every source is listed with its file, line and column, in line order.
+ */
+markupDiff.lint([{ glob : lint }, { glob : path.join(__dirname, 'content/simple1.html') }], { consoleOut : false })
+    .then(function(result){
+        assert.equal(2, result.documents.length);
+        assert.deepEqual([22, 25, 24, 23, 17, 6], result.problems.map(function(problem){ return problem.code; }));
+        assert.deepEqual([7, 10, 13, 14, 17, 18], result.problems.map(function(problem){ return problem.line; }));
+        assert.deepEqual(['error', 'error', 'warning', 'warning', 'error', 'error'], result.problems.map(function(problem){ return problem.severity; }));
+
+        var crossing = result.problems[0];
+        assert.ok(crossing instanceof Error);
+        assert.equal(lint, crossing.file);
+        assert.equal(9, crossing.column);
+        assert.equal('div.card', crossing.domPath);
+        assert.ok(crossing.description.indexOf('Module "card" ends inside ignore block (started at line 5)') === 0);
+    });
+
+/**
+ * Fail test
+ * compare() rejects with the first problem as an Error, and calls back exactly once.
+ */
+(function(){
+    var calls = 0;
+
+    markupDiff.compare([{ glob : lint }], { consoleOut : false }, function(err, result){
+        calls ++;
+        assert.equal(22, err.code);
+        assert.ok(err instanceof Error);
+        assert.equal(7, err.line);
+        assert.equal(null, result);
+    });
+
+    process.on('exit', function(){
+        assert.equal(1, calls);
+    });
+})();
+
+/**
+ * Module start/end mismatch names the file.
+ */
+assert.throws(function(){
+    markupDiff.linesToModules({ lines : ['<!--module:a-->'], path : 'memory.html' });
+}, function(err){
+    return err.code === 6 && err.description === 'Module "a" has no end at memory.html';
+});
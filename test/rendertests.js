@@ -0,0 +1,104 @@
+var assert = require('assert'),
+    path = require('path'),
+    markupDiff = require('../index'),
+    render = require('../lib/render'),
+    options = require('../lib/options'),
+    sources = [{ glob : path.join(__dirname, 'content/render.html') }, { glob : path.join(__dirname, 'content/rendered.html') }];
+
+/**
+ * Happy test
+ * With render, inline and local scripts build the module before it is compared, and the script on a host which is not
+ * in renderHosts is skipped.
+ */
+markupDiff.compare(sources, { consoleOut : false, render : true }).then(function(result){
+    assert.deepEqual({}, result.results.errors);
+});
+
+/**
+ * Happy test
+ * The ready selector is waited for, past timeouts which are still pending.
+ */
+render({
+    path : 'delayed.html',
+    content : '<div id="list"></div><script>setTimeout(function(){ document.getElementById("list").className = "done"; }, 50);' +
+        'setTimeout(function(){}, 60000);</script>'
+}, { render : true, renderReady : '.done', renderTimeout : 5000, renderHosts : [] }).then(function(dom){
+    assert.equal('done', dom.getElementById('list').className);
+});
+
+/**
+ * Happy test
+ * A ready function is run in the page, with the page's window.
+ */
+render({
+    path : 'delayed.html',
+    content : '<div id="list"></div><script>setTimeout(function(){ document.getElementById("list").className = "done"; }, 50);' +
+        'setTimeout(function(){}, 60000);</script>'
+}, { render : true, renderTimeout : 5000, renderHosts : [], renderReady : function(window){
+    return window.document.getElementById('list').className === 'done';
+} }).then(function(dom){
+    assert.equal('done', dom.getElementById('list').className);
+});
+
+/**
+ * Fail test
+ * Without render, the markup is compared as it is, and the module doesn't match.
+ */
+markupDiff.compare(sources, { consoleOut : false }).then(function(result){
+    assert.ok(result.results.errors.card);
+});
+
+/**
+ * Happy test
+ * A page loaded from any host is rendered, its inline scripts only reach objects of the page.
+ */
+render({
+    path : 'http://example.com/page.html',
+    url : 'http://example.com/page.html',
+    content : '<div id="list"></div><div id="reached"></div><script>' +
+        'document.getElementById("list").className = "done";' +
+        'var found = [this.constructor, document.constructor, document.createElement("i").constructor, setTimeout,' +
+        '    window.addEventListener, document.querySelector, Object].filter(function(object){' +
+        '    var constructor = object.constructor === Function ? Function : object.constructor.constructor;' +
+        '    return constructor !== Function;' +
+        '});' +
+        'document.getElementById("reached").textContent = found.length + " " + typeof process + " " + typeof require;' +
+        '</script>'
+}, { render : true, renderTimeout : 5000, renderHosts : [] }).then(function(dom){
+    assert.equal('done', dom.getElementById('list').className);
+    assert.equal('0 undefined undefined', dom.getElementById('reached').textContent);
+});
+
+/**
+ * Fail test
+ * Scripts can't get at node : code can't be compiled from strings, and scripts using import() are not run, so the
+ * errors node rejects an import with never reach the page.
+ */
+global.escaped = false;
+
+var escape = 'function(ex){ ex.constructor.constructor("return process")().escaped = true; }';
+
+render({
+    path : 'escape.html',
+    content : '<div id="list"></div><script>' +
+        'try { this.constructor.constructor("global.escaped = true")(); }' +
+        'catch (ex) { document.getElementById("list").className = "blocked"; }' +
+        '</script><script>' +
+        'import("fs").then(function(){}, ' + escape + ');' +
+        'document.getElementById("list").className = "imported";' +
+        '</script><script>' +
+        'eval(\'import("fs")\').then(function(){}, ' + escape + ');' +
+        'document.getElementById("list").className = "evaluated";' +
+        '</script>'
+}, { render : true, renderTimeout : 5000, renderHosts : [] }).then(function(dom){
+    assert.equal('blocked', dom.getElementById('list').className);
+    assert.equal(false, global.escaped);
+    assert.ok(!process.escaped);
+});
+
+/**
+ * Happy test
+ * renderHosts set in options replaces the default hosts rather than being merged into them by index.
+ */
+assert.deepEqual(['dev.local'], options.resolve({ renderHosts : ['dev.local'] }).renderHosts);
+assert.deepEqual(['localhost', '127.0.0.1'], options.resolve().renderHosts);
@@ -0,0 +1,132 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    markupDiff = require('../index');
+
+var modules = {
+        simple : {
+            'a.html' : ['<div>', '</div>'],
+            'b.html' : ['<div>', '<span>', '</span>', '</div>']
+        },
+        single : {
+            'a.html' : ['<p>', '</p>']
+        }
+    },
+    results = markupDiff.compareModules(modules),
+    report = markupDiff.buildReport(modules, results);
+
+/**
+ * Report has a version, and one pair per compared pair of instances.
+ */
+assert.equal(1, report.version);
+assert.deepEqual({ modules : 2, pairs : 1, failures : 1, warnings : 1 }, report.summary);
+assert.equal('added', report.modules[0].pairs[0].differences[0].type);
+assert.equal(null, report.modules[0].warning);
+assert.ok(report.modules[1].warning);
+
+/**
+ * JUnit has a testcase per pair, and a skipped testcase for modules with one instance.
+ */
+var junit = markupDiff.reporters.junit(report);
+assert.equal(2, junit.match(/<testcase /g).length);
+assert.equal(1, junit.match(/<failure /g).length);
+assert.equal(1, junit.match(/<skipped /g).length);
+assert.ok(junit.indexOf('&lt;span&gt;') !== -1);
+
+/**
+ * TAP plan matches test count.
+ */
+var tap = markupDiff.reporters.tap(report);
+assert.ok(/\n1\.\.2$/.test(tap));
+assert.equal(1, tap.match(/^not ok /mg).length);
+assert.ok(tap.indexOf('ok 2 - single # SKIP') !== -1);
+
+/**
+ * Unified diff uses 0-context ranges.
+ */
+var diff = markupDiff.reporters.diff(report);
+assert.ok(diff.indexOf('--- a.html (simple)\n+++ b.html (simple)\n@@ -1,0 +2,2 @@\n+<span>\n+</span>\n') === 0);
+
+/**
+ * HTML report has a badge per module, and marks the added lines of the failed pair.
+ */
+var html = markupDiff.reporters.html(report);
+assert.ok(html.indexOf('<!DOCTYPE html>') === 0);
+assert.equal(1, html.match(/class="badge fail"/g).length);
+assert.equal(1, html.match(/class="badge warning"/g).length);
+assert.equal(2, html.match(/<tr class="added">/g).length);
+assert.ok(html.indexOf('  &lt;span&gt;') !== -1);
+
+/**
+ * HTML report shows an optional block present on one side only on its side, and keeps both sides aligned after it.
+ */
+(function(){
+    var optionalModules = {
+            card : {
+                'a.html' : ['<div>', '<optional>', '<p>', '</p>', '</optional>', '<span>', '</span>', '</div>'],
+                'b.html' : ['<div>', '<span>', '</span>', '<b>', '</b>', '</div>']
+            }
+        },
+        optionalHtml = markupDiff.reporters.html(markupDiff.buildReport(optionalModules, markupDiff.compareModules(optionalModules))),
+        rows = optionalHtml.match(/<tr( class="\w+")?><td class="number">.*<\/tr>/g).map(function(row){
+            return row.match(/<td class="number">(\d*)<\/td><td>([^<]*)<\/td>/g).map(function(cell){
+                return cell.replace(/<td class="number">\d*<\/td><td>|<\/td>/g, '').trim();
+            });
+        });
+
+    assert.equal(-1, optionalHtml.indexOf('undefined'));
+    assert.deepEqual([
+        ['&lt;div&gt;', '&lt;div&gt;'],
+        ['&lt;optional&gt;', ''],
+        ['&lt;p&gt;', ''],
+        ['&lt;/p&gt;', ''],
+        ['&lt;/optional&gt;', ''],
+        ['&lt;span&gt;', '&lt;span&gt;'],
+        ['&lt;/span&gt;', '&lt;/span&gt;'],
+        ['', '&lt;b&gt;'],
+        ['', '&lt;/b&gt;'],
+        ['&lt;/div&gt;', '&lt;/div&gt;']
+    ], rows);
+    assert.equal(2, optionalHtml.match(/<tr class="added">/g).length);
+})();
+
+/**
+ * compare() writes the selected reporter's output to reportFile.
+ */
+var reportFile = path.join(os.tmpdir(), 'markupdiff-report-' + process.pid + '.json');
+markupDiff.compare(
+    [
+        { glob : path.join(__dirname, 'content/simple2.html') },
+        { glob : path.join(__dirname, 'content/simple3.html') }
+    ],
+    {
+        reporter : 'json',
+        reportFile : reportFile
+    },
+    function(err){
+        assert.equal(null, err);
+        var written = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+        fs.unlinkSync(reportFile);
+        assert.equal(1, written.version);
+        assert.equal(1, written.summary.failures);
+    }
+);
+
+/**
+ * Custom reporter functions receive the report.
+ */
+markupDiff.compare([{ glob : path.join(__dirname, 'content/simple2.html') }], {
+    reporter : function(report){
+        assert.equal(1, report.summary.warnings);
+        return '';
+    }
+});
+
+/**
+ * Fail test.
+ * Unknown reporter is an error.
+ */
+markupDiff.compare([{ glob : path.join(__dirname, 'content/simple2.html') }], { reporter : 'nope' }, function(err){
+    assert.equal(8, err.code);
+});
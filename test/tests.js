@@ -1,6 +1,7 @@
 var assert = require('assert'),
+    path = require('path'),
     util = require('util'),
-    markupDiff = require('../lib/markupDiff');
+    markupDiff = require('../index');
 
 /**
  * To access remote, use
@@ -12,8 +13,8 @@ var assert = require('assert'),
  */
 markupDiff.compare(
     [
-        { glob : './content/simple1.html' },
-        { glob : './content/simple2.html' }
+        { glob : path.join(__dirname, 'content/simple1.html') },
+        { glob : path.join(__dirname, 'content/simple2.html') }
     ],
     {
         attributes : ['class', 'data-*']
@@ -25,3 +26,319 @@ markupDiff.compare(
     }
 );
 
+/**
+ * An inserted element is reported as a single hunk, not as a mismatch on every line after it.
+ */
+markupDiff.compare(
+    [
+        { glob : path.join(__dirname, 'content/simple2.html') },
+        { glob : path.join(__dirname, 'content/simple3.html') }
+    ],
+    {
+        attributes : ['class', 'data-*'],
+        consoleOut : false
+    },
+    function(err, result){
+        assert.equal(true, err == null);
+
+        var errors = result.results.errors.simple[path.join(__dirname, 'content/simple3.html')],
+            added = errors[0];
+
+        assert.equal(1, errors.length);
+        assert.equal('added', added.type);
+        assert.equal(2, added.source.line);
+        assert.deepEqual(['<span class="module1-label">', '</span>'], added.test.src);
+        assert.deepEqual([], added.source.src);
+
+        // both sides are located in the markup files, the side with no lines at the element before the insertion
+        assert.deepEqual({ file : path.join(__dirname, 'content/simple3.html'), line : 5, column : 13, domPath : 'div.module1 > span.module1-label' }, added.test.location);
+        assert.deepEqual({ file : path.join(__dirname, 'content/simple2.html'), line : 4, column : 9, domPath : 'div.module1' }, added.source.location);
+    }
+);
+
+/**
+ * Promise form resolves with the same result object as the callback form.
+ */
+markupDiff.compare(
+    [
+        { glob : path.join(__dirname, 'content/simple2.html') },
+        { glob : path.join(__dirname, 'content/simple3.html') }
+    ],
+    {
+        consoleOut : false
+    }
+).then(function(result){
+    assert.ok(result.modules.simple);
+    assert.ok(result.results.errors.simple);
+});
+
+/**
+ * Fail test.
+ * Broken module markup rejects the promise with an error object.
+ */
+markupDiff.compare([{ glob : path.join(__dirname, 'content/broken.html') }], { consoleOut : false })
+    .then(function(){
+        assert.fail('should have been rejected');
+    }, function(err){
+        assert.equal(6, err.code);
+    });
+
+/**
+ * Stages can be used individually on markup already in memory.
+ */
+(function(){
+    var lines = markupDiff.flatten('<div class="a"><!--module:m--><span>text</span><!--/module--></div>'),
+        modules = markupDiff.linesToModules({ lines : lines, path : 'memory' });
+
+    assert.deepEqual(['<body>', '<div class="a">', '<!--module:m-->', '<span>', '<innertext/>', '</span>', '<!--/module-->', '</div>', '</body>'], lines);
+    assert.deepEqual({ m : { memory : ['<span>', '<innertext/>', '</span>'] } }, modules);
+
+    modules.m.other = ['<span>', '</span>'];
+    assert.equal('removed', markupDiff.compareModules(modules).errors.m.other[0].type);
+})();
+
+/**
+ * Attribute rules normalize class token order, drop state classes, strip generated values and ignore values of
+ * presence-only attributes. Excluded attributes are left out, and sortAttributes ignores attribute order.
+ */
+(function(){
+    var options = {
+            excludeAttributes : ['^data-reactid$'],
+            sortAttributes : true,
+            attributeRules : {
+                'class' : { tokens : true, ignoreTokens : [/^is-/], strip : ['^js-'] },
+                'id' : { strip : [/\d+$/] },
+                'aria-.*' : { presence : true }
+            }
+        },
+        a = markupDiff.flatten('<div class="b a is-active js-c" id="item-1" aria-label="One" data-reactid="1"></div>', options),
+        b = markupDiff.flatten('<div data-reactid="2" aria-label="Two" id="item-22" class="c a b  a"></div>', options);
+
+    assert.equal('<div aria-label class="a b c" id="item-">', a[1]);
+    assert.deepEqual(a, b);
+
+    // without rules, both token order and attribute order matter
+    assert.notEqual(markupDiff.flatten('<div class="a b" id="x"></div>')[1], markupDiff.flatten('<div id="x" class="b a"></div>')[1]);
+})();
+
+/**
+ * Repeated siblings are collapsed after a repeat marker, or everywhere with collapseRepeats, so lists of different
+ * lengths compare equal. A difference in the repeated item itself is still reported.
+ */
+(function(){
+    var items = function(count, item){
+            return '<ul>' + new Array(count + 1).join('<li>' + (item || '<a>x</a>') + '</li>') + '</ul>';
+        },
+        list = function(count, marker){
+            return '<div><!--module:menu-->' + (marker ? items(count).replace('<ul>', '<ul><!--module!repeat-->') : items(count)) + '<!--/module--></div>';
+        },
+        modules = function(markupA, markupB, options){
+            var modules = markupDiff.linesToModules({ path : 'a', lines : markupDiff.flatten(markupA) }, options);
+            return markupDiff.linesToModules({ path : 'b', lines : markupDiff.flatten(markupB) }, options, modules);
+        },
+        marked = modules(list(3, true), list(7, true));
+
+    assert.deepEqual(['<ul>', '<repeat>', '<li>', '<a>', '<innertext/>', '</a>', '</li>', '</repeat>', '</ul>'], marked.menu.a);
+    assert.deepEqual({}, markupDiff.compareModules(marked).errors);
+
+    // with the marker, a single item is a list too
+    assert.deepEqual({}, markupDiff.compareModules(modules(list(1, true), list(4, true))).errors);
+
+    // without marker or option, lists aren't collapsed
+    assert.equal('added', markupDiff.compareModules(modules(list(3), list(7))).errors.menu.b[0].type);
+    assert.deepEqual({}, markupDiff.compareModules(modules(list(3), list(7), { collapseRepeats : true })).errors);
+
+    // a > in an attribute value doesn't make its element a leaf
+    assert.deepEqual({}, markupDiff.compareModules(modules(list(3, true).replace(/<li>/g, '<li title="1 > 0">'),
+        list(7, true).replace(/<li>/g, '<li title="1 > 0">'))).errors);
+
+    // nested lists are collapsed first, so items with nested lists of different lengths are identical
+    assert.deepEqual({}, markupDiff.compareModules(modules(
+        '<div><!--module:nav--><ul><li>' + items(2) + '</li><li>' + items(3) + '</li></ul><!--/module--></div>',
+        '<div><!--module:nav-->' + items(3, items(5)) + '<!--/module--></div>',
+        { collapseRepeats : true })).errors);
+
+    var changed = markupDiff.compareModules(modules(list(3, true), list(2, true).replace(/<a>x<\/a>/g, '<b>x</b>'))).errors.menu.b[0];
+    assert.equal('changed', changed.type);
+    assert.equal('<a>', changed.source.src[0]);
+    assert.equal('<b>', changed.test.src[0]);
+})();
+
+/**
+ * An optional block missing from one instance is not a difference, but a block present in both is compared. Element
+ * markers ignore the attributes and inner text of the next element only.
+ */
+(function(){
+    var card = function(badge){
+            return '<div><!--module:card--><div class="card">' +
+                (badge ? '<!--module!optional-->' + badge + '<!--/module!optional-->' : '') +
+                '<h2>Title</h2></div><!--/module--></div>';
+        },
+        compare = function(markupA, markupB){
+            var modules = markupDiff.linesToModules({ path : 'a', lines : markupDiff.flatten(markupA) });
+            markupDiff.linesToModules({ path : 'b', lines : markupDiff.flatten(markupB) }, null, modules);
+            return markupDiff.compareModules(modules).errors;
+        };
+
+    assert.deepEqual({}, compare(card('<span class="badge">New</span>'), card()));
+    assert.deepEqual({}, compare(card(), card('<span class="badge">New</span>')));
+
+    var changed = compare(card('<span class="badge">New</span>'), card('<em class="badge">New</em>')).card.b;
+    assert.equal(2, changed.length);
+    assert.equal('<span class="badge">', changed[0].source.src[0]);
+    assert.equal(3, changed[0].source.line);
+
+    assert.throws(function(){
+        markupDiff.linesToModules({ path : 'a', lines : markupDiff.flatten('<div><!--module!optional--><p></p></div>') });
+    }, function(err){ return err.code === 17; });
+
+    var lines = markupDiff.flatten('<div><!--module!ignore-attributes:href, title--><!--module!ignore-text-->' +
+        '<a href="x" title="t" class="c">text<b>text</b></a><a href="y">text</a></div>');
+
+    assert.deepEqual(['<body>', '<div>', '<a class="c">', '<b>', '</b>', '</a>', '<a href="y">', '<innertext/>', '</a>', '</div>', '</body>'], lines);
+})();
+
+/**
+ * Modules can be delimited by an element attribute or a BEM block class instead of comments. The module is the element
+ * and everything inside it, and comment markers don't start modules in these modes.
+ */
+(function(){
+    var byAttribute = { moduleDelimiter : 'attribute' },
+        modules = markupDiff.linesToModules({ path : 'a', lines : markupDiff.flatten(
+            '<div data-module="card" data-module-variant="featured"><!--module:other--><h2>Title</h2><!--/module--></div>', byAttribute) }, byAttribute);
+
+    assert.deepEqual({ 'card variant:featured' : { a : [
+        '<div data-module="card" data-module-variant="featured">', '<!--module:other-->', '<h2>', '<innertext/>', '</h2>', '<!--/module-->', '</div>'
+    ] } }, modules);
+
+    var byClass = { moduleDelimiter : 'class', moduleClassRegex : /^(c-[a-z0-9-]+?)(?:--([a-z0-9-]+))?$/ };
+    modules = markupDiff.linesToModules({ path : 'a', lines : markupDiff.flatten(
+        '<div class="c-card c-card--featured row"><h2 class="c-card__title">Title</h2><ul class="c-tags hidden"></ul></div>', byClass) }, byClass);
+
+    assert.deepEqual(['c-card variant:featured', 'c-tags'], Object.keys(modules).sort());
+    assert.deepEqual(['<div class="c-card c-card--featured row">', '<h2 class="c-card__title">', '<innertext/>', '</h2>', '<module:c-tags/>', '</div>'],
+        modules['c-card variant:featured'].a);
+
+    assert.throws(function(){
+        markupDiff.flatten('<div></div>', { moduleDelimiter : 'id' });
+    }, function(err){ return err.code === 18; });
+
+    // class mode has no default pattern, any class could be taken for a module
+    assert.throws(function(){
+        markupDiff.flatten('<div class="row"></div>', { moduleDelimiter : 'class' });
+    }, function(err){ return err.code === 18; });
+})();
+
+/**
+ * flatten returns the line, column and DOM path of each line in the markup. Elements the parser inserted have no
+ * line and column.
+ */
+(function(){
+    var positions = [],
+        lines = markupDiff.flatten('<div class="card">\n  <ul>\n    <li>a</li>\n    <li>b</li>\n  </ul>\n</div><table><tr></tr></table>', null, positions);
+
+    assert.equal(lines.length, positions.length);
+    assert.deepEqual({ line : 4, column : 5, domPath : 'div.card > ul > li:nth-child(2)' }, positions[lines.indexOf('<li>', 4)]);
+    assert.deepEqual({ line : 4, column : 9, domPath : 'div.card > ul > li:nth-child(2)' }, positions[lines.indexOf('<innertext/>', 5)]);
+    assert.deepEqual({ line : 5, column : 3, domPath : 'div.card > ul' }, positions[lines.indexOf('</ul>')]);
+    assert.deepEqual({ line : null, column : null, domPath : 'table > tbody' }, positions[lines.indexOf('<tbody>')]);
+})();
+
+/**
+ * Modules which can't be compared are reported as likely renamed if they closely match a module with another name.
+ */
+markupDiff.compare(
+    [
+        { glob : path.join(__dirname, 'content/simple3.html') },
+        { glob : path.join(__dirname, 'content/renamed.html') }
+    ],
+    { consoleOut : false },
+    function(err, result){
+        assert.equal(true, err == null);
+
+        var similar = result.results.similar;
+        assert.equal(1, similar.length);
+        assert.equal('simple', similar[0].module);
+        assert.equal('simpleRenamed', similar[0].similar);
+        assert.equal(1, similar[0].score);
+        assert.ok(result.results.warnings.simple.description.indexOf('Closely matches "simpleRenamed" (100%)') !== -1);
+
+        assert.equal(1, markupDiff.similarity(['<a>', '</a>'], ['<a>', '</a>']));
+        assert.equal(0.5, markupDiff.similarity(['<a>', '<b>'], ['<a>', '<c>']));
+        assert.equal(0, markupDiff.similarity(['<a>'], ['<b>']));
+    }
+);
+
+/**
+ * Below the threshold, or with the threshold set to null, nothing is reported.
+ */
+markupDiff.compare(
+    [
+        { glob : path.join(__dirname, 'content/simple2.html') },
+        { glob : path.join(__dirname, 'content/renamed.html') }
+    ],
+    { consoleOut : false, similarityThreshold : null },
+    function(err, result){
+        assert.equal(true, err == null);
+        assert.deepEqual([], result.results.similar);
+    }
+);
+
+/**
+ * With a reference source, other instances are compared against the reference only, and each compared source keeps
+ * its own differences.
+ */
+(function(){
+    var modules = {
+            m : {
+                'proto.html' : ['<div>', '</div>'],
+                'cms1.html' : ['<div>', '<span>', '</span>', '</div>'],
+                'cms2.html' : ['<p>', '</p>']
+            },
+            cmsOnly : {
+                'cms1.html' : ['<i>', '</i>'],
+                'cms2.html' : ['<i>', '</i>']
+            }
+        },
+        results = markupDiff.compareModules(modules, ['proto.html']);
+
+    assert.equal(2, results.comparisons.length);
+    assert.deepEqual(['cms1.html', 'cms2.html'], Object.keys(results.errors.m));
+    assert.equal('added', results.errors.m['cms1.html'][0].type);
+    assert.equal('changed', results.errors.m['cms2.html'][0].type);
+    assert.equal('proto.html', results.errors.m['cms2.html'][0].source.path);
+    assert.ok(results.warnings.cmsOnly);
+})();
+
+/**
+ * Every instance of a module on a page is extracted, and variants are compared only with the same variant.
+ */
+markupDiff.compare([{ glob : path.join(__dirname, 'content/variants.html') }], { consoleOut : false }, function(err, result){
+    var file = path.join(__dirname, 'content/variants.html');
+
+    assert.equal(null, err);
+    assert.deepEqual([file, file + '#2'], Object.keys(result.modules.card));
+    assert.deepEqual([file], Object.keys(result.modules['card variant:featured']));
+    assert.equal('changed', result.results.errors.card[file + '#2'][0].type);
+    assert.ok(result.results.warnings['card variant:featured']);
+});
+
+/**
+ * Nested modules are replaced by a placeholder in their parent, so a change inside a child fails only the child.
+ */
+(function(){
+    var modules = {},
+        tree = {};
+
+    markupDiff.linesToModules({ path : 'a.html', lines : markupDiff.flatten(
+        '<body><!--module:list--><ul><li><!--module:card--><div class="card"></div><!--/module--></li></ul><!--/module--></body>') }, null, modules, tree);
+    markupDiff.linesToModules({ path : 'b.html', lines : markupDiff.flatten(
+        '<body><!--module:list--><ul><li><!--module:card--><div class="card"><span></span></div><!--/module--></li></ul><!--/module--></body>') }, null, modules, tree);
+
+    assert.deepEqual(['<ul>', '<li>', '<module:card/>', '</li>', '</ul>'], modules.list['a.html']);
+    assert.deepEqual({ module : 'list', instance : 'a.html', children : [{ module : 'card', instance : 'a.html', children : [] }] }, tree['a.html'][0]);
+
+    var results = markupDiff.compareModules(modules);
+    assert.equal(undefined, results.errors.list);
+    assert.ok(results.errors.card);
+})();
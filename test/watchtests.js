@@ -0,0 +1,129 @@
+var assert = require('assert'),
+    path = require('path'),
+    fs = require('fs'),
+    os = require('os'),
+    markupDiff = require('../index'),
+    remove = require('./helpers/remove'),
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markupdiff-watch-')),
+    card = '<!--module:card--><div class="card"><h2>Title</h2></div><!--/module-->',
+    menu = '<!--module:menu--><ul><li>a</li></ul><!--/module-->';
+
+fs.writeFileSync(path.join(dir, 'a.html'), '<div>' + card + menu + '</div>');
+fs.writeFileSync(path.join(dir, 'b.html'), '<div>' + card + '</div>');
+fs.writeFileSync(path.join(dir, 'c.html'), '<div>' + menu + '</div>');
+
+/**
+ * Happy test
+ * Each step changes files after the previous update, and checks the next one. Only modules in changed files are
+ * compared again, a burst of saves is compared once.
+ */
+var watcher,
+    failsafe = setTimeout(function(){
+        watcher.close();
+        throw new Error('Watch updates timed out');
+    }, 20000),
+    steps = [
+        function(update){
+            assert.deepEqual(['card', 'menu'], update.affected);
+            assert.equal(3, update.changed.length);
+            assert.deepEqual({}, update.results.errors);
+
+            fs.writeFileSync(path.join(dir, 'b.html'), '<div>' + card.replace('<h2>', '<h3>') + '</div>');
+            fs.writeFileSync(path.join(dir, 'b.html'), '<div>' + card.replace('<h2>Title</h2>', '<h3>Title</h3>') + '</div>');
+        },
+        function(update){
+            assert.deepEqual([path.join(dir, 'b.html')], update.changed);
+            assert.deepEqual(['card'], update.affected);
+            assert.ok(update.results.errors.card);
+            assert.equal(2, update.results.comparisons.length);
+
+            fs.unlinkSync(path.join(dir, 'c.html'));
+        },
+        function(update){
+            assert.deepEqual(['menu'], update.affected);
+            assert.ok(update.results.warnings.menu);
+            assert.ok(update.results.errors.card);
+            assert.deepEqual([path.join(dir, 'a.html')], Object.keys(update.modules.menu));
+
+            fs.writeFileSync(path.join(dir, 'd.html'), '<div>' + menu.replace('<li>a</li>', '') + '</div>');
+        },
+        function(update){
+            assert.deepEqual([path.join(dir, 'd.html')], update.changed);
+            assert.equal(undefined, update.results.warnings.menu);
+            assert.ok(update.results.errors.menu[path.join(dir, 'd.html')]);
+
+            /**
+             * Fail test
+             * Broken module markup is passed to callback, and watching goes on.
+             */
+            fs.writeFileSync(path.join(dir, 'b.html'), '<div><!--module:card--><div></div></div>');
+        }
+    ];
+
+watcher = markupDiff.watch([{ glob : path.join(dir, '*.html') }], { consoleOut : false, watchDelay : 100 }, function(err, update){
+    if (steps.length === 0){
+        assert.equal(6, err.code);
+
+        watcher.close();
+        clearTimeout(failsafe);
+        remove(dir);
+        return;
+    }
+
+    assert.ifError(err);
+    steps.shift()(update);
+});
+
+/**
+ * Happy test
+ * Directories are watched one by one, so files in a directory created after watching started are compared too.
+ */
+(function(){
+    var nested = fs.mkdtempSync(path.join(os.tmpdir(), 'markupdiff-watch-')),
+        nestedWatcher,
+        nestedFailsafe = setTimeout(function(){
+            nestedWatcher.close();
+            throw new Error('Watch updates in new directory timed out');
+        }, 20000);
+
+    fs.writeFileSync(path.join(nested, 'a.html'), '<div>' + card + '</div>');
+
+    nestedWatcher = markupDiff.watch([{ glob : path.join(nested, '**/*.html') }], { consoleOut : false, watchDelay : 100 }, function(err, update){
+        assert.ifError(err);
+
+        if (update.changed.length === 1 && update.changed[0] === path.join(nested, 'a.html')){
+            fs.mkdirSync(path.join(nested, 'sub'));
+            fs.writeFileSync(path.join(nested, 'sub', 'b.html'), '<div>' + card.replace('<h2>', '<h3>') + '</div>');
+            return;
+        }
+
+        assert.deepEqual([path.join(nested, 'sub', 'b.html')], update.changed);
+        assert.ok(update.results.errors.card);
+
+        nestedWatcher.close();
+        clearTimeout(nestedFailsafe);
+        remove(nested);
+    });
+})();
+
+/**
+ * Fail test
+ * A directory which can't be watched is an error, and directories already watched are no longer watched.
+ */
+markupDiff.watch([{ glob : path.join(__dirname, 'content/simple*.html') }, { glob : path.join(__dirname, 'missing/*.html') }],
+    { consoleOut : false }, function(err){
+        assert.equal(21, err.code);
+    });
+
+/**
+ * Fail test
+ * Module options which bring back markup that options leave out are an error, nothing is watched then.
+ */
+(function(){
+    var invalidWatcher = markupDiff.watch([{ glob : path.join(__dirname, 'content/simple*.html') }],
+        { consoleOut : false, processInnerText : false, moduleOptions : { '*' : { processInnerText : true } } }, function(err, update){
+            assert.equal(27, err.code);
+            assert.equal(null, update);
+            invalidWatcher.close();
+        });
+})();